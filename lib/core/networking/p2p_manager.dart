@@ -6,6 +6,7 @@ import 'package:http/http.dart' as http;
 
 import 'p2p_message.dart';
 import 'peer_connection.dart';
+import 'room_admission.dart';
 import 'signaling_client.dart';
 
 /// Manages P2P connections for a room.
@@ -17,9 +18,15 @@ class P2PManager {
   String? _localPeerId;
   String? _localDisplayName;
   String? _localRoomName;
+  String? _roomId;
   bool _isCreator = false;
   Map<String, dynamic>? _iceServersConfig;
 
+  // TURN credentials expire (the server's `ttl`), so fetch new ones before
+  // they do; peers that join later are connected with the current set
+  Timer? _turnRefreshTimer;
+  static const _turnRefreshMargin = Duration(minutes: 5);
+
   // Typing indicator debounce - PERF FIX 2.3
   Timer? _typingDebounceTimer;
   bool _lastTypingState = false;
@@ -27,12 +34,35 @@ class P2PManager {
 
   final _messageController = StreamController<P2PMessage>.broadcast();
   final _connectionStateController = StreamController<P2PConnectionEvent>.broadcast();
+  final _localPeerIdController = StreamController<String>.broadcast();
   StreamSubscription<SignalingMessage>? _signalingSubscription;
 
   P2PManager({required this.signalingServerUrl});
 
-  /// Fetch TURN credentials from the signaling server.
-  Future<Map<String, dynamic>?> _fetchTurnCredentials() async {
+  /// Fetch TURN credentials with a ticket from the room and schedule the
+  /// next refresh. Keeps the current set if the fetch fails.
+  Future<void> _refreshTurnCredentials(String ticket) async {
+    final roomId = _roomId;
+    if (roomId == null) return;
+
+    final credentials = await _fetchTurnCredentials(roomId, ticket);
+    // We may have left the room while the request was in flight
+    if (credentials == null || _roomId != roomId) return;
+
+    _iceServersConfig = credentials.config;
+    _turnRefreshTimer?.cancel();
+    final ttl = credentials.ttl;
+    if (ttl != null) {
+      final lifetime = Duration(seconds: ttl);
+      // Short-lived credentials are refreshed halfway through instead
+      final refreshIn = lifetime > _turnRefreshMargin * 2 ? lifetime - _turnRefreshMargin : lifetime ~/ 2;
+      _turnRefreshTimer = Timer(refreshIn, () => _signalingClient?.requestTurnTicket());
+    }
+  }
+
+  /// Fetch TURN credentials from the signaling server, using a ticket the
+  /// room sent with the peer list or a `turn-ticket` reply.
+  Future<({Map<String, dynamic> config, int? ttl})?> _fetchTurnCredentials(String roomId, String ticket) async {
     try {
       // Convert WebSocket URL to HTTP URL for credentials endpoint
       final httpUrl = signalingServerUrl
@@ -40,11 +70,14 @@ class P2PManager {
           .replaceFirst('ws://', 'http://');
       final baseUrl = httpUrl.endsWith('/') ? httpUrl.substring(0, httpUrl.length - 1) : httpUrl;
 
-      final response = await http.get(Uri.parse('$baseUrl/turn-credentials'));
+      final response = await http.get(
+        Uri.parse('$baseUrl/turn-credentials').replace(queryParameters: {'room': roomId}),
+        headers: {'Authorization': 'Bearer $ticket'},
+      );
 
       if (response.statusCode == 200) {
         final data = jsonDecode(response.body) as Map<String, dynamic>;
-        return _buildIceServersConfig(data);
+        return (config: _buildIceServersConfig(data), ttl: data['ttl'] as int?);
       } else {
         // TURN credentials unavailable - will fallback to STUN
         return null;
@@ -55,32 +88,24 @@ class P2PManager {
     }
   }
 
-  /// Build ICE servers configuration from Cloudflare TURN response.
+  /// Build ICE servers configuration from the `/turn-credentials` response.
+  ///
+  /// The server normalizes every TURN provider to
+  /// `{ iceServers: [{ urls, username?, credential? }], ttl }`.
   Map<String, dynamic> _buildIceServersConfig(Map<String, dynamic> turnData) {
-    final iceServers = turnData['iceServers'] as Map<String, dynamic>?;
-    if (iceServers == null) {
-      return defaultWebRtcConfiguration;
-    }
-
-    final urls = iceServers['urls'] as List<dynamic>?;
-    final username = iceServers['username'] as String?;
-    final credential = iceServers['credential'] as String?;
-
-    if (urls == null || urls.isEmpty) {
+    final iceServers = turnData['iceServers'] as List<dynamic>?;
+    if (iceServers == null || iceServers.isEmpty) {
       return defaultWebRtcConfiguration;
     }
 
     return {
       'iceServers': [
-        // Keep STUN servers as fallback
-        {'urls': 'stun:stun.l.google.com:19302'},
-        {'urls': 'stun:stun1.l.google.com:19302'},
-        // Add TURN servers with credentials
-        {
-          'urls': urls.cast<String>(),
-          'username': username,
-          'credential': credential,
-        },
+        for (final server in iceServers.cast<Map<String, dynamic>>())
+          {
+            'urls': (server['urls'] as List<dynamic>).cast<String>(),
+            if (server['username'] != null) 'username': server['username'] as String,
+            if (server['credential'] != null) 'credential': server['credential'] as String,
+          },
       ],
     };
   }
@@ -94,6 +119,10 @@ class P2PManager {
   /// Our local peer ID.
   String? get localPeerId => _localPeerId;
 
+  /// Peer IDs assigned to us by the signaling server. The ID passed to
+  /// [joinRoom] is only a placeholder until the first one arrives.
+  Stream<String> get localPeerIdChanges => _localPeerIdController.stream;
+
   /// List of connected peer IDs.
   List<String> get connectedPeers => _peers.keys.toList();
 
@@ -110,14 +139,15 @@ class P2PManager {
     _localRoomName = roomName;
     _isCreator = isCreator;
 
-    // Fetch TURN credentials before connecting (fallback to STUN if unavailable)
-    _iceServersConfig = await _fetchTurnCredentials();
+    // The server only ever sees the derived room ID, not the code
+    final roomKeys = await deriveRoomKeys(roomCode);
+    _roomId = roomKeys.roomId;
 
     _signalingClient = SignalingClient(serverUrl: signalingServerUrl);
 
     _signalingSubscription = _signalingClient!.messages.listen(_handleSignalingMessage);
 
-    await _signalingClient!.connect(roomCode, peerId);
+    await _signalingClient!.connect(roomKeys, peerId, isCreator: isCreator);
   }
 
   /// Send a chat message to all connected peers.
@@ -180,6 +210,9 @@ class P2PManager {
     _typingDebounceTimer = null;
     _lastTypingState = false;
 
+    _turnRefreshTimer?.cancel();
+    _turnRefreshTimer = null;
+
     if (_localPeerId != null) {
       final goodbye = P2PMessage.goodbye(senderId: _localPeerId!);
       _broadcast(goodbye);
@@ -197,11 +230,21 @@ class P2PManager {
 
     _localPeerId = null;
     _localDisplayName = null;
+    _roomId = null;
   }
 
   void _handleSignalingMessage(SignalingMessage message) async {
     switch (message.type) {
       case SignalingMessageType.peers:
+        // The server assigns our peer ID; adopt it before connecting
+        if (message.peerId != null && message.peerId != _localPeerId) {
+          _localPeerId = message.peerId;
+          _localPeerIdController.add(message.peerId!);
+        }
+        // Fetch TURN credentials before connecting (fallback to STUN if unavailable)
+        if (message.turnTicket != null) {
+          await _refreshTurnCredentials(message.turnTicket!);
+        }
         // We received the list of existing peers - initiate connections to them
         if (message.peers != null) {
           for (final peerId in message.peers!) {
@@ -248,6 +291,13 @@ class P2PManager {
         }
         break;
 
+      case SignalingMessageType.turnTicket:
+        // Reply to our refresh request
+        if (message.turnTicket != null) {
+          await _refreshTurnCredentials(message.turnTicket!);
+        }
+        break;
+
       case SignalingMessageType.error:
         // Signaling error - connection may fail but no logging in production
         break;
@@ -424,6 +474,7 @@ class P2PManager {
     leaveRoom();
     _messageController.close();
     _connectionStateController.close();
+    _localPeerIdController.close();
   }
 }
 
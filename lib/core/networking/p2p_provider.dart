@@ -7,7 +7,13 @@ import 'p2p_manager.dart';
 import 'p2p_message.dart';
 
 /// Signaling server URL
-const String signalingServerUrl = 'wss://shadowwhisper-signaling.ianmc.workers.dev';
+///
+/// Override with `--dart-define=SIGNALING_URL=ws://localhost:8787` to use the
+/// local signaling server (see signaling/README.md).
+const String signalingServerUrl = String.fromEnvironment(
+  'SIGNALING_URL',
+  defaultValue: 'wss://shadowwhisper-signaling.ianmc.workers.dev',
+);
 
 /// P2P connection state
 enum P2PState {
@@ -53,6 +59,7 @@ class P2PNotifier extends StateNotifier<P2PProviderState> {
   P2PManager? _manager;
   StreamSubscription<P2PMessage>? _messageSubscription;
   StreamSubscription<P2PConnectionEvent>? _connectionSubscription;
+  StreamSubscription<String>? _peerIdSubscription;
   bool _isDisposed = false;
 
   P2PNotifier(this._ref) : super(const P2PProviderState());
@@ -81,6 +88,9 @@ class P2PNotifier extends StateNotifier<P2PProviderState> {
       // Listen for connection events
       _connectionSubscription = _manager!.connectionEvents.listen(_handleConnectionEvent);
 
+      // The server assigns our real peer ID when we're admitted
+      _peerIdSubscription = _manager!.localPeerIdChanges.listen(_handleAssignedPeerId);
+
       await _manager!.joinRoom(
         roomCode: roomCode,
         peerId: peerId,
@@ -102,6 +112,7 @@ class P2PNotifier extends StateNotifier<P2PProviderState> {
   Future<void> disconnect() async {
     await _messageSubscription?.cancel();
     await _connectionSubscription?.cancel();
+    await _peerIdSubscription?.cancel();
     await _manager?.leaveRoom();
     _manager?.dispose();
     _manager = null;
@@ -185,6 +196,18 @@ class P2PNotifier extends StateNotifier<P2PProviderState> {
     }
   }
 
+  void _handleAssignedPeerId(String peerId) {
+    // Guard against callbacks after disposal
+    if (_isDisposed) return;
+
+    try {
+      _ref.read(roomProvider.notifier).adoptAssignedPeerId(peerId);
+    } catch (error) {
+      // Provider might be disposed, ignore errors during cleanup
+      print('Error adopting assigned peer ID: $error');
+    }
+  }
+
   void _handleConnectionEvent(P2PConnectionEvent event) {
     // Guard against callbacks after disposal
     if (_isDisposed) return;
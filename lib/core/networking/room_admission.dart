@@ -0,0 +1,121 @@
+import 'dart:convert';
+import 'dart:typed_data';
+
+import 'package:cryptography/cryptography.dart';
+import 'package:cryptography/dart.dart';
+import 'package:flutter/foundation.dart';
+
+/// Zero-knowledge room admission, matching signaling/admission.js.
+///
+/// The signaling server never sees the room code. We connect to a room ID
+/// derived from it, the creator registers a verifier, and every other joiner
+/// answers the server's challenge with an HMAC keyed by that verifier.
+class RoomKeys {
+  /// Goes in the `/room/{roomId}` path and the `?room=` query.
+  final String roomId;
+
+  /// Registered by the creator; keys the challenge proof.
+  final String verifier;
+
+  const RoomKeys({required this.roomId, required this.verifier});
+}
+
+const _roomIdLabel = 'shadowwhisper/room-id/v2';
+const _verifierLabel = 'shadowwhisper/room-verifier/v1:';
+
+// Both must match admission.js
+const _roomIdIterations = 100000;
+const _verifierIterations = 100000;
+
+/// Derive the room ID and verifier for a room code.
+///
+/// Both are deliberately slow PBKDF2 values, so this runs off the UI isolate.
+Future<RoomKeys> deriveRoomKeys(String roomCode) => compute(_deriveRoomKeys, roomCode);
+
+Future<RoomKeys> _deriveRoomKeys(String roomCode) async {
+  final roomId = await _pbkdf2(roomCode, _roomIdLabel, _roomIdIterations);
+  final verifier = await _pbkdf2(roomCode, '$_verifierLabel$roomId', _verifierIterations);
+  return RoomKeys(roomId: roomId, verifier: verifier);
+}
+
+/// Answer to the server's `challenge` nonce.
+Future<String> proveRoomKnowledge(String verifier, String nonce) async {
+  final mac = await Hmac.sha256().calculateMac(
+    utf8.encode(nonce),
+    secretKey: SecretKey(_fromBase64Url(verifier)),
+  );
+  return _toBase64Url(mac.bytes);
+}
+
+/// Solve a `pow-challenge` (see signaling/pow.js): find a string whose
+/// SHA-256 with the nonce starts with [difficulty] zero bits.
+///
+/// Natively the search runs on a background isolate. Flutter web has no
+/// isolates, so `compute` would run it on the UI thread; there it runs in
+/// chunks instead, yielding to the event loop between them.
+Future<String> solveProofOfWork(String nonce, int difficulty) {
+  final challenge = (nonce: nonce, difficulty: difficulty);
+  if (kIsWeb) {
+    return _solveProofOfWorkInChunks(challenge);
+  }
+  return compute(_solveProofOfWork, challenge);
+}
+
+// Hashes per chunk: a few milliseconds of work between yields on web
+const _powChunkSize = 1000;
+
+String _solveProofOfWork(({String nonce, int difficulty}) challenge) {
+  for (var start = 0;; start += _powChunkSize) {
+    final solution = _searchProofOfWork(challenge, start);
+    if (solution != null) {
+      return solution;
+    }
+  }
+}
+
+Future<String> _solveProofOfWorkInChunks(({String nonce, int difficulty}) challenge) async {
+  for (var start = 0;; start += _powChunkSize) {
+    final solution = _searchProofOfWork(challenge, start);
+    if (solution != null) {
+      return solution;
+    }
+    await Future<void>.delayed(Duration.zero);
+  }
+}
+
+/// Try the [_powChunkSize] candidates from [start] on.
+String? _searchProofOfWork(({String nonce, int difficulty}) challenge, int start) {
+  const sha256 = DartSha256();
+  for (var counter = start; counter < start + _powChunkSize; counter++) {
+    final solution = counter.toRadixString(36);
+    final digest = sha256.hashSync(utf8.encode('${challenge.nonce}:$solution')).bytes;
+    if (_leadingZeroBits(digest) >= challenge.difficulty) {
+      return solution;
+    }
+  }
+  return null;
+}
+
+Future<String> _pbkdf2(String password, String salt, int iterations) async {
+  final pbkdf2 = Pbkdf2(macAlgorithm: Hmac.sha256(), iterations: iterations, bits: 256);
+  final key = await pbkdf2.deriveKeyFromPassword(password: password, nonce: utf8.encode(salt));
+  return _toBase64Url(await key.extractBytes());
+}
+
+int _leadingZeroBits(List<int> bytes) {
+  var bits = 0;
+  for (final byte in bytes) {
+    if (byte == 0) {
+      bits += 8;
+      continue;
+    }
+    // Zero bits above the highest set bit of this byte
+    return bits + 8 - byte.bitLength;
+  }
+  return bits;
+}
+
+/// Unpadded base64url, the wire form of every derived value.
+String _toBase64Url(List<int> bytes) => base64Url.encode(bytes).replaceAll('=', '');
+
+Uint8List _fromBase64Url(String text) => base64Url.decode(base64Url.normalize(text));
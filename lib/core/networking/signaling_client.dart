@@ -4,6 +4,8 @@ import 'dart:convert';
 import 'package:flutter_webrtc/flutter_webrtc.dart';
 import 'package:web_socket_channel/web_socket_channel.dart';
 
+import 'room_admission.dart';
+
 /// Signaling message types from the server.
 enum SignalingMessageType {
   peers,
@@ -12,6 +14,7 @@ enum SignalingMessageType {
   offer,
   answer,
   iceCandidate,
+  turnTicket,
   error,
 }
 
@@ -23,12 +26,20 @@ class SignalingMessage {
   final Map<String, dynamic>? payload;
   final String? error;
 
+  /// Machine-readable error code, e.g. `PEER_NOT_FOUND` (errors only).
+  final String? errorCode;
+
+  /// Ticket for `/turn-credentials` (peer list and `turn-ticket` only).
+  final String? turnTicket;
+
   SignalingMessage({
     required this.type,
     this.peerId,
     this.peers,
     this.payload,
     this.error,
+    this.errorCode,
+    this.turnTicket,
   });
 
   factory SignalingMessage.fromJson(Map<String, dynamic> json) {
@@ -54,6 +65,9 @@ class SignalingMessage {
       case 'ice-candidate':
         type = SignalingMessageType.iceCandidate;
         break;
+      case 'turn-ticket':
+        type = SignalingMessageType.turnTicket;
+        break;
       case 'error':
         type = SignalingMessageType.error;
         break;
@@ -67,6 +81,8 @@ class SignalingMessage {
       peers: (json['peers'] as List<dynamic>?)?.cast<String>(),
       payload: json['payload'] as Map<String, dynamic>?,
       error: json['message'] as String?,
+      errorCode: json['code'] as String?,
+      turnTicket: json['turnTicket'] as String?,
     );
   }
 }
@@ -78,8 +94,16 @@ class SignalingClient {
   WebSocketChannel? _channel;
   final _messageController = StreamController<SignalingMessage>.broadcast();
 
+  // The server answers `{"type":"ping"}` without waking the room, and evicts
+  // peers it hasn't heard from for a while
+  static const _heartbeatInterval = Duration(seconds: 30);
+  Timer? _heartbeatTimer;
+
   String? _peerId;
-  String? _roomCode;
+  RoomKeys? _roomKeys;
+
+  // Repeated with a `pow` or `proof` when the server challenges it
+  Map<String, dynamic>? _joinMessage;
 
   SignalingClient({required this.serverUrl});
 
@@ -93,20 +117,47 @@ class SignalingClient {
   String? get peerId => _peerId;
 
   /// Connect to the signaling server and join a room.
-  Future<void> connect(String roomCode, String peerId) async {
+  ///
+  /// Only the derived room ID is sent, never the room code. The creator
+  /// registers the room's verifier; everyone else proves they know the code
+  /// when the server challenges them.
+  Future<void> connect(RoomKeys roomKeys, String peerId, {bool isCreator = false}) async {
     _peerId = peerId;
-    _roomCode = roomCode;
+    _roomKeys = roomKeys;
 
-    // Include room code in URL path for Durable Object routing
+    // Include the room ID in the URL path for Durable Object routing
     final baseUrl = serverUrl.endsWith('/') ? serverUrl.substring(0, serverUrl.length - 1) : serverUrl;
-    final uri = Uri.parse('$baseUrl/room/$roomCode');
+    final uri = Uri.parse('$baseUrl/room/${roomKeys.roomId}');
     _channel = WebSocketChannel.connect(uri);
 
     _channel!.stream.listen(
-      (data) {
+      (data) async {
         try {
           final json = jsonDecode(data as String) as Map<String, dynamic>;
+
+          // Answer server heartbeats so we aren't evicted as a stale peer
+          if (json['type'] == 'ping') {
+            _send({'type': 'pong'});
+            return;
+          }
+
+          // Admission challenges: answer by repeating the join
+          if (json['type'] == 'pow-challenge') {
+            await _answerProofOfWork(json);
+            return;
+          }
+          if (json['type'] == 'challenge') {
+            await _answerRoomChallenge(json);
+            return;
+          }
+
           final message = SignalingMessage.fromJson(json);
+
+          // The server mints our peer ID and reports it with the peer list
+          if (message.type == SignalingMessageType.peers && message.peerId != null) {
+            _peerId = message.peerId;
+          }
+
           _messageController.add(message);
         } catch (error) {
           print('Error parsing signaling message: $error');
@@ -117,19 +168,48 @@ class SignalingClient {
       },
       onDone: () {
         print('Signaling WebSocket closed');
+        _heartbeatTimer?.cancel();
+        _heartbeatTimer = null;
         _channel = null;
       },
     );
 
+    _heartbeatTimer?.cancel();
+    _heartbeatTimer = Timer.periodic(_heartbeatInterval, (_) => _send({'type': 'ping'}));
+
     // Wait for connection to establish
     await Future.delayed(const Duration(milliseconds: 100));
 
     // Join the room
-    _send({
+    _joinMessage = {
       'type': 'join',
-      'roomCode': roomCode,
       'peerId': peerId,
-    });
+      if (isCreator) 'isCreator': true,
+      if (isCreator) 'verifier': roomKeys.verifier,
+    };
+    _send(_joinMessage!);
+  }
+
+  Future<void> _answerProofOfWork(Map<String, dynamic> challenge) async {
+    final join = _joinMessage;
+    if (join == null) return;
+
+    final solution = await solveProofOfWork(
+      challenge['nonce'] as String,
+      challenge['difficulty'] as int,
+    );
+    // A socket solves one puzzle; later repeats of the join keep the solution
+    join['pow'] = solution;
+    _send(join);
+  }
+
+  Future<void> _answerRoomChallenge(Map<String, dynamic> challenge) async {
+    final join = _joinMessage;
+    final roomKeys = _roomKeys;
+    if (join == null || roomKeys == null) return;
+
+    final proof = await proveRoomKnowledge(roomKeys.verifier, challenge['nonce'] as String);
+    _send({...join, 'proof': proof});
   }
 
   /// Send an SDP offer to a specific peer.
@@ -169,15 +249,24 @@ class SignalingClient {
     });
   }
 
+  /// Ask for a new `/turn-credentials` ticket; the server answers with a
+  /// `turn-ticket` message.
+  void requestTurnTicket() {
+    _send({'type': 'turn-ticket'});
+  }
+
   /// Disconnect from the signaling server.
   void disconnect() {
+    _heartbeatTimer?.cancel();
+    _heartbeatTimer = null;
     if (_channel != null) {
       _send({'type': 'leave'});
       _channel!.sink.close();
       _channel = null;
     }
     _peerId = null;
-    _roomCode = null;
+    _roomKeys = null;
+    _joinMessage = null;
   }
 
   void _send(Map<String, dynamic> message) {
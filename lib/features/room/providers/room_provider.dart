@@ -338,6 +338,28 @@ class RoomNotifier extends StateNotifier<Room?> {
     return JoinResult.reconnected;
   }
 
+  /// Switch our own entries over to the peer ID the signaling server assigned.
+  ///
+  /// The server mints peer IDs, so the locally generated one is only a
+  /// placeholder until we're admitted, and every rejoin gets a new one.
+  void adoptAssignedPeerId(String assignedPeerId) {
+    final previousPeerId = _ref.read(currentPeerIdProvider);
+    if (previousPeerId == assignedPeerId) return;
+
+    _ref.read(currentPeerIdProvider.notifier).state = assignedPeerId;
+    _ref.read(messagesProvider.notifier).reassignSender(previousPeerId, assignedPeerId);
+
+    if (state == null) return;
+
+    state = state!.copyWith(
+      creatorPeerId: state!.creatorPeerId == previousPeerId ? assignedPeerId : state!.creatorPeerId,
+      participants: [
+        for (final participant in state!.participants)
+          participant.peerId == previousPeerId ? participant.copyWith(peerId: assignedPeerId) : participant,
+      ],
+    );
+  }
+
   /// Add a simulated participant (for testing)
   /// Returns false if room is full
   bool addSimulatedParticipant(String displayName) {
@@ -913,6 +935,29 @@ class MessagesNotifier extends StateNotifier<List<ChatMessage>> {
     }
   }
 
+  /// Move a sender's messages to a new peer ID (ours, once the signaling
+  /// server assigns it). Uses the sender index like [markMessagesAsRemoved].
+  void reassignSender(String fromPeerId, String toPeerId) {
+    final messageIds = _messageIdsBySender.remove(fromPeerId);
+    if (messageIds == null || messageIds.isEmpty) return;
+
+    final newState = List<ChatMessage>.from(state);
+    for (final messageId in messageIds) {
+      final index = _messageIndexById[messageId];
+      if (index != null) {
+        newState[index] = newState[index].copyWith(senderPeerId: toPeerId);
+      }
+    }
+    _messageIdsBySender.putIfAbsent(toPeerId, () => {}).addAll(messageIds);
+
+    final recent = _recentMessagesBySender.remove(fromPeerId);
+    if (recent != null) {
+      _recentMessagesBySender[toPeerId] = recent;
+    }
+
+    state = newState;
+  }
+
   /// Batch mark messages as removed for multiple peers - PERF FIX 4.1
   void markMessagesAsRemovedBatch(List<String> peerIds) {
     if (peerIds.isEmpty) return;
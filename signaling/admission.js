@@ -0,0 +1,92 @@
+/**
+ * Zero-knowledge room admission.
+ *
+ * The server never sees a plaintext room code. Clients derive two values
+ * from it, each under its own domain-separation label:
+ *   - room ID:  PBKDF2-SHA256(code, salt = ROOM_ID_LABEL), used in the
+ *               /room/{roomId} path
+ *   - verifier: PBKDF2-SHA256(code, salt = VERIFIER_LABEL + roomId)
+ * The creator registers the verifier on its `join`. Every later joiner gets a
+ * random `challenge` nonce and answers with HMAC-SHA256(verifier, nonce),
+ * which proves it knows the code without sending the code or the verifier.
+ */
+
+import { fromBase64Url, toBase64Url } from './encoding.js';
+
+const ROOM_ID_LABEL = 'shadowwhisper/room-id/v2';
+const VERIFIER_LABEL = 'shadowwhisper/room-verifier/v1:';
+
+// Room IDs show up in URLs and logs, and app codes are short enough to
+// enumerate against a plain hash, so the ID is stretched as hard as the
+// verifier. Clients derive both once per join.
+const ROOM_ID_ITERATIONS = 100000;
+
+// Slows down offline guessing of short codes from a leaked verifier
+const VERIFIER_ITERATIONS = 100000;
+
+// A 32-byte digest, room ID or proof in unpadded base64url
+export const DIGEST_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+const encoder = new TextEncoder();
+
+/**
+ * Room identifier to connect to instead of the plaintext code.
+ *
+ * @param {string} roomCode - e.g. 'shadow-abc123'
+ * @returns {Promise<string>} base64url 32-byte room ID
+ */
+export function deriveRoomId(roomCode) {
+  return pbkdf2(roomCode, ROOM_ID_LABEL, ROOM_ID_ITERATIONS);
+}
+
+/**
+ * Verifier the creator registers with `join`.
+ *
+ * @param {string} roomCode - e.g. 'shadow-abc123'
+ * @param {string} [roomId] - deriveRoomId(roomCode), if already known
+ * @returns {Promise<string>} base64url 32-byte verifier
+ */
+export async function deriveRoomVerifier(roomCode, roomId) {
+  roomId ??= await deriveRoomId(roomCode);
+  return pbkdf2(roomCode, VERIFIER_LABEL + roomId, VERIFIER_ITERATIONS);
+}
+
+/**
+ * Answer to a `challenge` nonce.
+ *
+ * @param {string} verifier - From deriveRoomVerifier()
+ * @param {string} nonce - From the server's `challenge` message
+ * @returns {Promise<string>} base64url HMAC-SHA256
+ */
+export async function proveRoomKnowledge(verifier, nonce) {
+  const key = await importHmacKey(verifier, 'sign');
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(nonce));
+  return toBase64Url(new Uint8Array(signature));
+}
+
+/**
+ * Server side: check a joiner's proof. Comparison happens inside
+ * crypto.subtle.verify, so it does not leak timing.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function verifyRoomProof(verifier, nonce, proof) {
+  if (!DIGEST_PATTERN.test(proof)) return false;
+  const key = await importHmacKey(verifier, 'verify');
+  return crypto.subtle.verify('HMAC', key, fromBase64Url(proof), encoder.encode(nonce));
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    salt: encoder.encode(salt),
+    iterations
+  }, key, 256);
+  return toBase64Url(new Uint8Array(bits));
+}
+
+function importHmacKey(verifier, usage) {
+  return crypto.subtle.importKey('raw', fromBase64Url(verifier), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
@@ -0,0 +1,57 @@
+/**
+ * Signed room broadcasts.
+ *
+ * Control events (room ended, participant kicked, admin changed) have to
+ * reach peers that have no data channel yet, so the room fans them out over
+ * the signaling sockets. Each room holds an ECDSA P-256 key pair. Peers get
+ * the public key with `peers`/`resumed`, and every broadcast carries
+ *   { type: 'broadcast', body: '<JSON>', tag: '<base64url signature>' }
+ * `body` is signed as sent, so a peer can forward a broadcast over a data
+ * channel and the receiver can still verify it came from the room.
+ */
+
+import { fromBase64Url, toBase64Url } from './encoding.js';
+
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE = { name: 'ECDSA', hash: 'SHA-256' };
+
+const encoder = new TextEncoder();
+
+/**
+ * New room key pair, exported so it can be kept in storage.
+ *
+ * @returns {Promise<{ privateJwk: Object, publicJwk: Object }>}
+ */
+export async function createSigningKey() {
+  const pair = await crypto.subtle.generateKey(ALGORITHM, true, ['sign', 'verify']);
+  return {
+    privateJwk: await crypto.subtle.exportKey('jwk', pair.privateKey),
+    publicJwk: await crypto.subtle.exportKey('jwk', pair.publicKey)
+  };
+}
+
+/**
+ * Sign a broadcast body.
+ *
+ * @param {Object} privateJwk - From createSigningKey()
+ * @param {string} body - JSON text to sign
+ * @returns {Promise<string>} base64url signature
+ */
+export async function signBroadcast(privateJwk, body) {
+  const key = await crypto.subtle.importKey('jwk', privateJwk, ALGORITHM, false, ['sign']);
+  const signature = await crypto.subtle.sign(SIGNATURE, key, encoder.encode(body));
+  return toBase64Url(new Uint8Array(signature));
+}
+
+/**
+ * Client side: check a broadcast against the room's public key.
+ *
+ * @param {Object} publicJwk - `broadcastKey` from `peers` or `resumed`
+ * @param {{ body: string, tag: string }} message - The broadcast as received
+ * @returns {Promise<Object|null>} the parsed body, or null if the tag is bad
+ */
+export async function verifyBroadcast(publicJwk, message) {
+  const key = await crypto.subtle.importKey('jwk', publicJwk, ALGORITHM, false, ['verify']);
+  const valid = await crypto.subtle.verify(SIGNATURE, key, fromBase64Url(message.tag), encoder.encode(message.body));
+  return valid ? JSON.parse(message.body) : null;
+}
@@ -0,0 +1,32 @@
+/**
+ * Encoding helpers shared by the signaling modules.
+ *
+ * admission.js, broadcast.js and pow.js are also meant to be imported by
+ * clients, so these modules (and turn.js, which the worker shares with the
+ * local server) stick to web platform APIs: fetch, WebCrypto and btoa/atob.
+ * That keeps them running unchanged in browsers, Node 20+ and Workers
+ * (Node 18 only exposes WebCrypto as a global behind a flag).
+ */
+
+/**
+ * Unpadded base64url, the form every token, digest and signature takes on
+ * the wire.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text - Unpadded base64url
+ * @returns {Uint8Array}
+ */
+export function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
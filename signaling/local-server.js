@@ -0,0 +1,557 @@
+#!/usr/bin/env node
+
+/**
+ * ShadowWhisper Local Signaling Server
+ *
+ * Runs the Cloudflare Worker in worker.js under plain Node so the full P2P
+ * flow can be exercised offline against localhost. The pieces of the Workers
+ * runtime the worker relies on (WebSocketPair, 101 upgrade responses, and the
+ * ROOMS and JOIN_GUARD Durable Object namespaces with hibernatable
+ * WebSockets, auto-responses, storage and alarms) are provided by small
+ * in-memory stand-ins.
+ *
+ * Usage:
+ *   node local-server.js                 # Listen on http://localhost:8787
+ *   node local-server.js --port 9000     # Listen on a custom port
+ *   PORT=9000 node local-server.js
+ *
+ * Programmatic use (e.g. from the dual-browser harness):
+ *   import { startLocalServer } from './local-server.js';
+ *   const server = await startLocalServer({ port: 0 });
+ *   // ... connect to ws://localhost:${server.port}/room/{roomId}
+ *   await server.close();
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+import worker, { JoinGuard, SignalingRoom } from './worker.js';
+
+const DEFAULT_PORT = 8787;
+const WRANGLER_TOML = fileURLToPath(new URL('./wrangler.toml', import.meta.url));
+
+// The runtime refuses to delete more keys than this in one call
+const MAX_DELETE_KEYS = 128;
+
+// Set with `wrangler secret put` when deployed, so they are not in wrangler.toml
+const SECRET_NAMES = ['TURN_KEY_ID', 'TURN_KEY_API_TOKEN', 'TURN_SHARED_SECRET'];
+
+// ============================================================================
+// Workers runtime stand-ins
+// ============================================================================
+
+/**
+ * Server half of a WebSocketPair.
+ *
+ * Mirrors the subset of the Workers WebSocket API used by SignalingRoom:
+ * send(), close() and the hibernation attachment methods. Frames flow to and
+ * from a real `ws` socket once the local server binds one after the upgrade,
+ * and incoming events are handed to the owning Durable Object state.
+ */
+class LocalWebSocket {
+  constructor() {
+    this.socket = null;
+    this.owner = null; // LocalDurableObjectState that accepted this socket
+    this.tags = [];
+    this.attachment = null;
+    this.outbox = [];
+    this.closed = false;
+    this.autoResponseTimestamp = null; // Date of the last auto-answered request
+  }
+
+  send(data) {
+    if (this.closed) {
+      throw new Error('WebSocket is closed');
+    }
+    if (!this.socket) {
+      this.outbox.push(data);
+      return;
+    }
+    this.socket.send(data);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.closed) {
+      throw new Error('WebSocket is already closed');
+    }
+    this.closed = true;
+    this.socket?.close(code, reason);
+  }
+
+  serializeAttachment(value) {
+    this.attachment = structuredClone(value);
+  }
+
+  deserializeAttachment() {
+    return structuredClone(this.attachment);
+  }
+
+  /**
+   * Attach the real client connection produced by the HTTP upgrade.
+   */
+  bind(socket) {
+    this.socket = socket;
+
+    for (const data of this.outbox.splice(0)) {
+      socket.send(data);
+    }
+
+    socket.on('message', (data, isBinary) => {
+      // Like the runtime, answer the auto-response request without waking the room
+      const autoResponse = this.owner?.autoResponse;
+      if (!isBinary && autoResponse && data.toString() === autoResponse.getRequest()) {
+        this.autoResponseTimestamp = new Date();
+        socket.send(autoResponse.getResponse());
+        return;
+      }
+      this.owner?.deliver('webSocketMessage', this, isBinary ? data : data.toString());
+    });
+
+    socket.on('close', (code, reason) => {
+      const alreadyClosed = this.closed;
+      this.closed = true;
+      this.owner?.websockets.delete(this);
+      this.owner?.deliver('webSocketClose', this, code, reason.toString(), !alreadyClosed);
+    });
+
+    socket.on('error', (error) => {
+      this.owner?.deliver('webSocketError', this, error);
+    });
+  }
+}
+
+/**
+ * Stand-in for the global WebSocketPair constructor. Index 0 is the client
+ * half handed back in the 101 response, index 1 the server half.
+ */
+class LocalWebSocketPair {
+  constructor() {
+    const server = new LocalWebSocket();
+    this[0] = { server };
+    this[1] = server;
+  }
+}
+
+/**
+ * Stand-in for the global WebSocketRequestResponsePair used with
+ * state.setWebSocketAutoResponse().
+ */
+class LocalWebSocketRequestResponsePair {
+  constructor(request, response) {
+    this.request = request;
+    this.response = response;
+  }
+
+  getRequest() {
+    return this.request;
+  }
+
+  getResponse() {
+    return this.response;
+  }
+}
+
+/**
+ * Response that accepts the Workers-only `status: 101` + `webSocket` init.
+ * Node's Response rejects status codes below 200, so upgrades are stored as
+ * a plain 200 internally and the real status is reported through the getter.
+ */
+class LocalResponse extends Response {
+  constructor(body, init = {}) {
+    const { webSocket, status, ...rest } = init;
+    const isUpgrade = status === 101;
+    super(body, isUpgrade ? rest : { ...rest, status });
+    this.webSocket = webSocket ?? null;
+    this.upgradeStatus = isUpgrade ? 101 : null;
+  }
+
+  get status() {
+    return this.upgradeStatus ?? super.status;
+  }
+}
+
+/**
+ * In-memory `state.storage`: key/value pairs plus a single alarm.
+ * Values are structured-cloned on the way in and out, like the real API.
+ */
+class LocalStorage {
+  constructor(state) {
+    this.state = state;
+    this.data = new Map();
+    this.alarmTime = null;
+    this.alarmTimer = null;
+  }
+
+  async get(keys) {
+    if (Array.isArray(keys)) {
+      const result = new Map();
+      for (const key of keys) {
+        if (this.data.has(key)) result.set(key, structuredClone(this.data.get(key)));
+      }
+      return result;
+    }
+    return structuredClone(this.data.get(keys));
+  }
+
+  async put(keyOrEntries, value) {
+    if (typeof keyOrEntries === 'object') {
+      for (const [key, entry] of Object.entries(keyOrEntries)) {
+        this.data.set(key, structuredClone(entry));
+      }
+      return;
+    }
+    this.data.set(keyOrEntries, structuredClone(value));
+  }
+
+  async delete(keys) {
+    if (Array.isArray(keys)) {
+      if (keys.length > MAX_DELETE_KEYS) {
+        throw new RangeError(`delete() accepts at most ${MAX_DELETE_KEYS} keys`);
+      }
+      return keys.filter((key) => this.data.delete(key)).length;
+    }
+    return this.data.delete(keys);
+  }
+
+  async deleteAll() {
+    this.data.clear();
+  }
+
+  async list({ prefix = '' } = {}) {
+    const result = new Map();
+    for (const key of Array.from(this.data.keys()).sort()) {
+      if (key.startsWith(prefix)) result.set(key, structuredClone(this.data.get(key)));
+    }
+    return result;
+  }
+
+  async getAlarm() {
+    return this.alarmTime;
+  }
+
+  async setAlarm(scheduledTime) {
+    const time = scheduledTime instanceof Date ? scheduledTime.getTime() : scheduledTime;
+    this.clearAlarmTimer();
+    this.alarmTime = time;
+    this.alarmTimer = setTimeout(() => {
+      this.alarmTime = null;
+      this.alarmTimer = null;
+      this.state.deliver('alarm');
+    }, Math.max(0, time - Date.now()));
+    this.alarmTimer.unref();
+  }
+
+  async deleteAlarm() {
+    this.clearAlarmTimer();
+    this.alarmTime = null;
+  }
+
+  clearAlarmTimer() {
+    if (this.alarmTimer) {
+      clearTimeout(this.alarmTimer);
+      this.alarmTimer = null;
+    }
+  }
+}
+
+/**
+ * Per-object `state` handed to SignalingRoom (or the JoinGuard). It outlives
+ * the object instance, so dropping the instance (see
+ * LocalDurableObjectNamespace#hibernate) behaves like a hibernation eviction:
+ * sockets and storage remain, memory is lost.
+ */
+class LocalDurableObjectState {
+  constructor(namespace, name) {
+    this.namespace = namespace;
+    this.name = name;
+    this.id = namespace.idFromName(name);
+    this.storage = new LocalStorage(this);
+    this.websockets = new Set();
+    this.autoResponse = null; // LocalWebSocketRequestResponsePair
+    this.ready = Promise.resolve();
+    this.queue = Promise.resolve();
+  }
+
+  acceptWebSocket(ws, tags = []) {
+    ws.owner = this;
+    ws.tags = tags;
+    this.websockets.add(ws);
+  }
+
+  getWebSockets(tag) {
+    return Array.from(this.websockets).filter((ws) => !tag || ws.tags.includes(tag));
+  }
+
+  setWebSocketAutoResponse(pair = null) {
+    this.autoResponse = pair;
+  }
+
+  getWebSocketAutoResponseTimestamp(ws) {
+    return ws.autoResponseTimestamp;
+  }
+
+  blockConcurrencyWhile(callback) {
+    const result = this.ready.then(callback);
+    this.ready = result.catch((error) => console.error('blockConcurrencyWhile failed:', error));
+    return result;
+  }
+
+  /**
+   * Run a handler (webSocketMessage, webSocketClose, alarm, ...) on the room,
+   * waking it first if needed. Events are processed one at a time.
+   */
+  deliver(method, ...args) {
+    this.queue = this.queue.then(async () => {
+      const instance = await this.namespace.getInstance(this.name);
+      await instance[method]?.(...args);
+    }).catch((error) => console.error(`${method} failed:`, error));
+    return this.queue;
+  }
+}
+
+/**
+ * In-memory Durable Object namespace: one instance of `objectClass` per name
+ * (a SignalingRoom per room, or the JoinGuard). State is kept for the
+ * lifetime of the process; the object instance is created on first use and
+ * recreated after hibernate().
+ */
+class LocalDurableObjectNamespace {
+  constructor(objectClass, env) {
+    this.objectClass = objectClass;
+    this.env = env;
+    this.states = new Map(); // name -> LocalDurableObjectState
+    this.instances = new Map(); // name -> object instance
+  }
+
+  idFromName(name) {
+    return { name, toString: () => name };
+  }
+
+  get(id) {
+    return {
+      fetch: async (request) => (await this.getInstance(id.name)).fetch(request),
+    };
+  }
+
+  getState(name) {
+    let state = this.states.get(name);
+    if (!state) {
+      state = new LocalDurableObjectState(this, name);
+      this.states.set(name, state);
+    }
+    return state;
+  }
+
+  async getInstance(name) {
+    const state = this.getState(name);
+    let instance = this.instances.get(name);
+    if (!instance) {
+      instance = new this.objectClass(state, this.env);
+      this.instances.set(name, instance);
+    }
+    await state.ready;
+    return instance;
+  }
+
+  /**
+   * Drop a room's object instance while keeping its sockets and storage,
+   * as the runtime does when a hibernatable Durable Object is evicted.
+   */
+  hibernate(name) {
+    this.instances.delete(name);
+  }
+
+  close() {
+    for (const state of this.states.values()) {
+      state.storage.clearAlarmTimer();
+    }
+  }
+}
+
+/**
+ * Read the `[vars]` table from wrangler.toml so local runs use the same
+ * configuration as the deployed worker. Only flat `KEY = "value"` entries
+ * are supported, which is all the signaling worker uses.
+ */
+export function loadWranglerVars(file = WRANGLER_TOML) {
+  const vars = {};
+  let inVars = false;
+
+  for (const rawLine of fs.readFileSync(file, 'utf8').split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('[')) {
+      inVars = line === '[vars]';
+      continue;
+    }
+    if (!inVars || !line || line.startsWith('#')) continue;
+
+    const match = line.match(/^([A-Za-z0-9_]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^#\s]+))/);
+    if (match) {
+      vars[match[1]] = match[2] ?? match[3] ?? match[4];
+    }
+  }
+
+  return vars;
+}
+
+/**
+ * wrangler.toml vars, with any same-named process environment variable
+ * taking precedence (e.g. `HEARTBEAT_INTERVAL_MS=1000 npm start`). Secrets
+ * are taken from the environment only.
+ */
+function defaultEnv() {
+  const vars = loadWranglerVars();
+  for (const name of [...Object.keys(vars), ...SECRET_NAMES]) {
+    if (process.env[name] !== undefined) {
+      vars[name] = process.env[name];
+    }
+  }
+  return vars;
+}
+
+function installRuntimeGlobals() {
+  globalThis.WebSocketPair = LocalWebSocketPair;
+  globalThis.WebSocketRequestResponsePair = LocalWebSocketRequestResponsePair;
+  globalThis.Response = LocalResponse;
+}
+
+// ============================================================================
+// HTTP server
+// ============================================================================
+
+/**
+ * Convert an incoming Node request into a Fetch API Request for the worker.
+ */
+async function toFetchRequest(req, port) {
+  const url = new URL(req.url, `http://${req.headers.host || `localhost:${port}`}`);
+  const headers = new Headers();
+
+  for (const [name, value] of Object.entries(req.headers)) {
+    headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+  }
+
+  // Cloudflare sets this on every request; mirror it for per-IP rate limits
+  if (!headers.has('CF-Connecting-IP')) {
+    headers.set('CF-Connecting-IP', req.socket.remoteAddress ?? 'unknown');
+  }
+
+  let body;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    body = Buffer.concat(chunks);
+  }
+
+  return new Request(url, { method: req.method, headers, body });
+}
+
+async function writeResponse(res, response) {
+  const body = Buffer.from(await response.arrayBuffer());
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(body);
+}
+
+function rejectUpgrade(socket, status, body) {
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}\r\n` +
+    'Content-Type: text/plain\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+}
+
+/**
+ * Start the local signaling server.
+ *
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.host - Interface to bind (default: all)
+ * @param {Object} options.env - Bindings/vars exposed to the worker as `env`,
+ *   layered over the wrangler.toml vars
+ * @returns {Promise<{port: number, env: Object, close: Function}>}
+ */
+export async function startLocalServer({ port = DEFAULT_PORT, host, env: extraEnv = {} } = {}) {
+  installRuntimeGlobals();
+
+  const env = { ...defaultEnv(), ...extraEnv };
+  env.ROOMS = new LocalDurableObjectNamespace(SignalingRoom, env);
+  env.JOIN_GUARD = new LocalDurableObjectNamespace(JoinGuard, env);
+
+  const wss = new WebSocketServer({ noServer: true });
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const request = await toFetchRequest(req, port);
+      await writeResponse(res, await worker.fetch(request, env));
+    } catch (error) {
+      console.error('Request failed:', error);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal error');
+    }
+  });
+
+  server.on('upgrade', async (req, socket, head) => {
+    try {
+      const request = await toFetchRequest(req, port);
+      const response = await worker.fetch(request, env);
+
+      if (response.status !== 101 || !response.webSocket) {
+        rejectUpgrade(socket, response.status, await response.text());
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        response.webSocket.server.bind(ws);
+      });
+    } catch (error) {
+      console.error('Upgrade failed:', error);
+      rejectUpgrade(socket, 500, 'Internal error');
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const actualPort = server.address().port;
+
+  return {
+    port: actualPort,
+    env,
+    async close() {
+      for (const client of wss.clients) {
+        client.terminate();
+      }
+      env.ROOMS.close();
+      env.JOIN_GUARD.close();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// ============================================================================
+// CLI entry point
+// ============================================================================
+
+function parsePort(argv) {
+  const index = argv.indexOf('--port');
+  if (index !== -1 && argv[index + 1]) {
+    return Number(argv[index + 1]);
+  }
+  return process.env.PORT ? Number(process.env.PORT) : DEFAULT_PORT;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = await startLocalServer({ port: parsePort(process.argv.slice(2)) });
+  console.log(`ShadowWhisper local signaling server listening on http://localhost:${server.port}`);
+  console.log(`  WebSocket: ws://localhost:${server.port}/room/{roomId}`);
+
+  const shutdown = async () => {
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,49 @@
+/**
+ * Hashcash-style proof of work for `join`.
+ *
+ * The server hands out `{ nonce, difficulty }`. The client searches for a
+ * `solution` string such that SHA-256(nonce + ':' + solution) starts with at
+ * least `difficulty` zero bits, then repeats `join` with `pow: solution`.
+ * Checking a solution costs one hash; finding one costs about
+ * 2^difficulty, which makes scanning many room codes expensive.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Find a solution for a challenge. Expect about 2^difficulty hashes.
+ *
+ * @param {string} nonce - From the server's `pow-challenge` message
+ * @param {number} difficulty - Required leading zero bits
+ * @returns {Promise<string>} value to send as `pow` on the next `join`
+ */
+export async function solvePow(nonce, difficulty) {
+  for (let counter = 0; ; counter++) {
+    const solution = counter.toString(36);
+    if (await verifyPow(nonce, difficulty, solution)) {
+      return solution;
+    }
+  }
+}
+
+/**
+ * Check a solution.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPow(nonce, difficulty, solution) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${nonce}:${solution}`));
+  return leadingZeroBits(new Uint8Array(digest)) >= difficulty;
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
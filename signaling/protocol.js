@@ -0,0 +1,282 @@
+/**
+ * Signaling protocol schema and error codes.
+ *
+ * Every client frame is checked against the schema for its `type` before the
+ * room acts on it. Failures are reported as
+ *   { type: 'error', code: 'INVALID_MESSAGE', message: '...', field: 'peerId', ref }
+ * where `ref` echoes the optional `ref` the client put on its request.
+ *
+ * Versioning: a client opens with
+ *   { type: 'hello', version: 1, capabilities: ['resume'] }
+ * and the server answers with `welcome` (the agreed version and the subset of
+ * capabilities both sides support) or UNSUPPORTED_VERSION. A client that
+ * skips `hello` and sends `join` straight away is treated as the original,
+ * unversioned protocol (version 1, no optional capabilities).
+ */
+
+import { DIGEST_PATTERN } from './admission.js';
+
+/**
+ * Protocol versions this server speaks. Bump PROTOCOL_VERSION on breaking
+ * changes and keep older versions here while deployed clients still use them.
+ */
+export const PROTOCOL_VERSION = 1;
+export const SUPPORTED_VERSIONS = [1];
+
+/**
+ * Version assumed for clients that join without a `hello`.
+ */
+export const LEGACY_VERSION = 1;
+
+/**
+ * Optional features a client can opt into during the handshake.
+ */
+export const SERVER_CAPABILITIES = ['resume', 'relay', 'ice-batch', 'partial-mesh'];
+
+/**
+ * Most candidates in one `ice-candidates` frame, sent or coalesced.
+ */
+export const MAX_ICE_BATCH = 32;
+
+/**
+ * Client heartbeat and its reply. A frame that matches HEARTBEAT_PING byte
+ * for byte is answered with HEARTBEAT_PONG by the runtime itself, without
+ * waking the room.
+ */
+export const HEARTBEAT_PING = '{"type":"ping"}';
+export const HEARTBEAT_PONG = '{"type":"pong"}';
+
+/**
+ * Control events the admin may send with `broadcast`.
+ */
+export const BROADCAST_EVENTS = ['room-ended', 'participant-kicked', 'admin-changed'];
+
+/**
+ * Machine-readable error codes sent in `{ type: 'error', code }`.
+ */
+export const ERROR_CODES = {
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  INVALID_JSON: 'INVALID_JSON',
+  FRAME_TOO_LARGE: 'FRAME_TOO_LARGE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  NOT_JOINED: 'NOT_JOINED',
+  PEER_NOT_FOUND: 'PEER_NOT_FOUND',
+  AWAITING_APPROVAL: 'AWAITING_APPROVAL',
+  NOT_CREATOR: 'NOT_CREATOR',
+  NO_PENDING_REQUEST: 'NO_PENDING_REQUEST',
+  CANNOT_KICK: 'CANNOT_KICK',
+  BANNED: 'BANNED',
+  ROOM_ENDED: 'ROOM_ENDED',
+  RESUME_FAILED: 'RESUME_FAILED',
+  ALREADY_JOINED: 'ALREADY_JOINED',
+  ADMISSION_FAILED: 'ADMISSION_FAILED',
+  POW_FAILED: 'POW_FAILED',
+  NOT_OFFERER: 'NOT_OFFERER',
+  ROOM_FULL: 'ROOM_FULL',
+  WAITLISTED: 'WAITLISTED',
+  ROOM_LOCKED: 'ROOM_LOCKED',
+  INVITE_INVALID: 'INVITE_INVALID',
+  TOO_MANY_INVITES: 'TOO_MANY_INVITES',
+  RATE_LIMITED: 'RATE_LIMITED',
+  CAPABILITY_REQUIRED: 'CAPABILITY_REQUIRED',
+};
+
+// The server mints 22-character base64url IDs; accept any short URL-safe identifier
+const PEER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const MAX_ROOM_CODE_LENGTH = 64;
+const MAX_DISPLAY_NAME_LENGTH = 64;
+const MAX_TOKEN_LENGTH = 128;
+const MAX_REF_LENGTH = 64;
+const MAX_POW_LENGTH = 32;
+const MAX_CAPABILITIES = 16;
+const MAX_CAPABILITY_LENGTH = 32;
+
+// ============================================================================
+// Field checks
+// ============================================================================
+
+const isPeerId = (value) => typeof value === 'string' && PEER_ID_PATTERN.test(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isShortString = (maxLength) => (value) =>
+  typeof value === 'string' && value.length > 0 && value.length <= maxLength;
+
+const isCapabilityList = (value) =>
+  Array.isArray(value) &&
+  value.length <= MAX_CAPABILITIES &&
+  value.every(isShortString(MAX_CAPABILITY_LENGTH));
+
+// SHA-256 sized value in unpadded base64url (admission verifiers and proofs)
+const isDigest = (value) => typeof value === 'string' && DIGEST_PATTERN.test(value);
+
+const isOneOf = (values) => (value) => values.includes(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+const isRef = (value) =>
+  (typeof value === 'string' && value.length <= MAX_REF_LENGTH) || Number.isFinite(value);
+
+/**
+ * RTCSessionDescription as sent by the client: `{ sdp, type }`.
+ */
+const isSessionDescription = (expectedType) => (value) =>
+  isObject(value) &&
+  typeof value.sdp === 'string' &&
+  (value.type === undefined || value.type === expectedType);
+
+/**
+ * RTCIceCandidate as sent by the client. An empty `candidate` string is the
+ * standard end-of-candidates marker and is allowed.
+ */
+const isIceCandidate = (value) =>
+  isObject(value) &&
+  typeof value.candidate === 'string' &&
+  (value.sdpMid === undefined || value.sdpMid === null || typeof value.sdpMid === 'string') &&
+  (value.sdpMLineIndex === undefined || value.sdpMLineIndex === null || Number.isInteger(value.sdpMLineIndex));
+
+const isIceCandidateList = (value) =>
+  Array.isArray(value) && value.length <= MAX_ICE_BATCH && value.every(isIceCandidate);
+
+const required = (check) => ({ check, required: true });
+const optional = (check) => ({ check, required: false });
+
+// ============================================================================
+// Schemas
+// ============================================================================
+
+/**
+ * Fields accepted per message type. Unlisted fields are ignored.
+ */
+const SCHEMAS = {
+  'hello': {
+    version: required(isPositiveInteger),
+    capabilities: optional(isCapabilityList),
+  },
+  'join': {
+    // Ignored: the server mints peer IDs. Still validated for older clients.
+    peerId: optional(isPeerId),
+    // Legacy: ignored and never logged. Clients should leave the code out.
+    roomCode: optional(isShortString(MAX_ROOM_CODE_LENGTH)),
+    isCreator: optional(isBoolean),
+    approvalMode: optional(isBoolean),
+    ttlMs: optional(isPositiveInteger),
+    maxPeers: optional(isPositiveInteger),
+    waitlist: optional(isBoolean),
+    displayName: optional(isShortString(MAX_DISPLAY_NAME_LENGTH)),
+    verifier: optional(isDigest),
+    proof: optional(isDigest),
+    pow: optional(isShortString(MAX_POW_LENGTH)),
+    invite: optional(isShortString(MAX_TOKEN_LENGTH)),
+  },
+  'resume': {
+    resumeToken: required(isShortString(MAX_TOKEN_LENGTH)),
+    pow: optional(isShortString(MAX_POW_LENGTH)),
+  },
+  'offer': {
+    targetPeerId: required(isPeerId),
+    payload: required(isSessionDescription('offer')),
+    ack: optional(isBoolean),
+  },
+  'answer': {
+    targetPeerId: required(isPeerId),
+    payload: required(isSessionDescription('answer')),
+    ack: optional(isBoolean),
+  },
+  'ice-candidate': {
+    targetPeerId: required(isPeerId),
+    payload: required(isIceCandidate),
+    ack: optional(isBoolean),
+  },
+  'ice-candidates': {
+    targetPeerId: required(isPeerId),
+    candidates: required(isIceCandidateList),
+    // End-of-candidates: the sender has gathered everything it will gather
+    complete: optional(isBoolean),
+    ack: optional(isBoolean),
+  },
+  'relay': {
+    targetPeerId: optional(isPeerId),
+    payload: required(isNonEmptyString),
+  },
+  'approve': {
+    peerId: required(isPeerId),
+  },
+  'reject': {
+    peerId: required(isPeerId),
+  },
+  'kick': {
+    peerId: required(isPeerId),
+  },
+  'lock-room': {
+    locked: optional(isBoolean),
+  },
+  'create-invite': {
+    ttlMs: optional(isPositiveInteger),
+  },
+  'broadcast': {
+    event: required(isOneOf(BROADCAST_EVENTS)),
+    data: optional(isObject),
+  },
+  'turn-ticket': {},
+  'end-room': {},
+  'leave': {},
+  'ping': {},
+  'pong': {},
+};
+
+/**
+ * Validate a parsed client message.
+ *
+ * @param {*} message - Result of JSON.parse on the frame
+ * @returns {Object|null} null when valid, otherwise { code, message, field? }
+ */
+export function validateMessage(message) {
+  if (!isObject(message) || typeof message.type !== 'string') {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be an object with a type', field: 'type' };
+  }
+
+  if (message.ref !== undefined && !isRef(message.ref)) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Invalid ref', field: 'ref' };
+  }
+
+  const schema = Object.hasOwn(SCHEMAS, message.type) ? SCHEMAS[message.type] : null;
+  if (!schema) {
+    return { code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type: ${message.type.slice(0, 32)}` };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = message[field];
+    if (value === undefined) {
+      if (rule.required) {
+        return { code: ERROR_CODES.INVALID_MESSAGE, message: `Missing ${field}`, field };
+      }
+      continue;
+    }
+    if (!rule.check(value)) {
+      return { code: ERROR_CODES.INVALID_MESSAGE, message: `Invalid ${field}`, field };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The `ref` to echo back in a reply, if the client sent a usable one.
+ */
+export function refOf(message) {
+  return isObject(message) && isRef(message.ref) ? message.ref : undefined;
+}
+
+/**
+ * Capabilities enabled for a client: those it asked for that we support.
+ *
+ * @param {string[]} requested - Capabilities from the client's hello
+ * @param {string[]} available - Capabilities enabled on this deployment
+ */
+export function negotiateCapabilities(requested = [], available = SERVER_CAPABILITIES) {
+  return available.filter((capability) => requested.includes(capability));
+}
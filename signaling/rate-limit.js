@@ -0,0 +1,149 @@
+/**
+ * Token-bucket rate limiting for signaling messages.
+ *
+ * Every socket and every client IP in a room gets one bucket per budget.
+ * Joins (join/resume) and relays (offer/answer/ice-candidate/relay) are metered
+ * separately, so a chatty ICE exchange never blocks a reconnect and a join
+ * storm never starves signaling. Everything else, including frames that
+ * are refused as malformed, draws from the `control` budget.
+ */
+
+/**
+ * Which budget each message type draws from. Types not listed, and frames
+ * without a readable type, use DEFAULT_BUDGET.
+ */
+export const MESSAGE_BUDGETS = {
+  'join': 'join',
+  'resume': 'join',
+  'offer': 'relay',
+  'answer': 'relay',
+  'ice-candidate': 'relay',
+  'ice-candidates': 'relay',
+  'relay': 'relay',
+  'broadcast': 'relay',
+  'turn-ticket': 'join',
+};
+
+export const DEFAULT_BUDGET = 'control';
+
+// Defaults, overridable via the RATE_LIMIT_* vars in wrangler.toml
+const DEFAULT_LIMITS = {
+  join: { burst: 5, perSecond: 0.2 },
+  relay: { burst: 200, perSecond: 50 },
+  ipJoin: { burst: 20, perSecond: 1 },
+  ipRelay: { burst: 600, perSecond: 150 },
+  control: { burst: 30, perSecond: 2 },
+  ipControl: { burst: 90, perSecond: 6 },
+  ipTurn: { burst: 5, perSecond: 0.1 },
+  maxViolations: 20,
+  violationWindowMs: 60 * 1000,
+};
+
+/**
+ * Budget a message type draws from.
+ *
+ * @param {*} type - The frame's `type`, or undefined if it had none
+ * @returns {string}
+ */
+export function budgetFor(type) {
+  return typeof type === 'string' && Object.hasOwn(MESSAGE_BUDGETS, type) ? MESSAGE_BUDGETS[type] : DEFAULT_BUDGET;
+}
+
+export class TokenBucket {
+  constructor({ burst, perSecond }) {
+    this.capacity = burst;
+    this.refillPerMs = perSecond / 1000;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Take `cost` tokens if available (e.g. bytes for a bandwidth bucket).
+   *
+   * @returns {boolean} false when the bucket does not hold enough tokens
+   */
+  take(cost = 1, now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+
+  /**
+   * Whether the bucket has refilled completely, i.e. it would behave the
+   * same as a fresh one and can be dropped.
+   */
+  isFull(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Milliseconds until `cost` tokens are available, or null if never.
+   */
+  retryAfterMs(cost = 1) {
+    if (this.tokens >= cost) return 0;
+    if (this.refillPerMs <= 0 || cost > this.capacity) return null;
+    return Math.ceil((cost - this.tokens) / this.refillPerMs);
+  }
+
+  refill(now) {
+    const elapsed = now - this.updatedAt;
+    this.updatedAt = now;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+  }
+}
+
+/**
+ * Read rate limits from the environment.
+ *
+ * @param {Object} env - Worker env with optional RATE_LIMIT_* vars
+ * @returns {Object} { join, relay, control, ipJoin, ipRelay, ipControl, ipTurn,
+ *   maxViolations, violationWindowMs }
+ */
+export function readRateLimits(env) {
+  const bucket = (prefix, fallback) => ({
+    burst: readNumber(env, `${prefix}_BURST`, fallback.burst),
+    perSecond: readNumber(env, `${prefix}_PER_SECOND`, fallback.perSecond),
+  });
+
+  return {
+    join: bucket('RATE_LIMIT_JOIN', DEFAULT_LIMITS.join),
+    relay: bucket('RATE_LIMIT_RELAY', DEFAULT_LIMITS.relay),
+    control: bucket('RATE_LIMIT_CONTROL', DEFAULT_LIMITS.control),
+    ipJoin: bucket('RATE_LIMIT_IP_JOIN', DEFAULT_LIMITS.ipJoin),
+    ipRelay: bucket('RATE_LIMIT_IP_RELAY', DEFAULT_LIMITS.ipRelay),
+    ipControl: bucket('RATE_LIMIT_IP_CONTROL', DEFAULT_LIMITS.ipControl),
+    ipTurn: bucket('RATE_LIMIT_IP_TURN', DEFAULT_LIMITS.ipTurn),
+    maxViolations: readNumber(env, 'RATE_LIMIT_MAX_VIOLATIONS', DEFAULT_LIMITS.maxViolations),
+    violationWindowMs: readNumber(env, 'RATE_LIMIT_VIOLATION_WINDOW_MS', DEFAULT_LIMITS.violationWindowMs),
+  };
+}
+
+/**
+ * Fresh per-socket buckets.
+ */
+export function createConnectionBuckets(limits) {
+  return {
+    join: new TokenBucket(limits.join),
+    relay: new TokenBucket(limits.relay),
+    control: new TokenBucket(limits.control),
+  };
+}
+
+/**
+ * Fresh per-IP buckets for the IP's sockets. /turn-credentials requests are
+ * metered separately, with one `ipTurn` bucket per IP.
+ */
+export function createIpBuckets(limits) {
+  return {
+    join: new TokenBucket(limits.ipJoin),
+    relay: new TokenBucket(limits.ipRelay),
+    control: new TokenBucket(limits.ipControl),
+  };
+}
+
+function readNumber(env, name, fallback) {
+  const value = Number.parseFloat(env?.[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
@@ -0,0 +1,45 @@
+/**
+ * Partial-mesh overlay for large rooms.
+ *
+ * Peers are placed on a ring in admission order and each one is linked to
+ * the peers 1, 2, 4, ... positions away in both directions (a ring plus
+ * chords). The offset-1 links keep the overlay connected; the doubling
+ * chords keep any two peers within about log2(n) hops, which is what the
+ * clients' gossip relies on. Every peer ends up with at most `degree`
+ * neighbors, however large the room gets.
+ */
+
+/**
+ * Neighbor sets for a room.
+ *
+ * @param {string[]} peerIds - Peer IDs in admission order
+ * @param {number} degree - Upper bound on neighbors per peer (at least 2)
+ * @returns {Map<string, string[]>} peerId -> neighbor peer IDs
+ */
+export function buildTopology(peerIds, degree) {
+  const count = peerIds.length;
+  const offsets = [];
+  for (let offset = 1; offsets.length < Math.max(1, Math.floor(degree / 2)) && offset < count; offset *= 2) {
+    offsets.push(offset);
+  }
+
+  const topology = new Map();
+  peerIds.forEach((peerId, index) => {
+    const neighbors = new Set();
+    for (const offset of offsets) {
+      neighbors.add(peerIds[(index + offset) % count]);
+      neighbors.add(peerIds[(index - offset + count) % count]);
+    }
+    neighbors.delete(peerId);
+    topology.set(peerId, Array.from(neighbors));
+  });
+  return topology;
+}
+
+/**
+ * Whether two neighbor lists (or null for "full mesh") are the same set.
+ */
+export function sameNeighbors(a, b) {
+  if (a === null || b === null) return a === b;
+  return a.length === b.length && a.every((peerId) => b.includes(peerId));
+}
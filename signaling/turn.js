@@ -0,0 +1,143 @@
+/**
+ * TURN/STUN credential providers for `/turn-credentials`.
+ *
+ * TURN_PROVIDER picks one:
+ *   - cloudflare: Cloudflare Realtime TURN keys (TURN_KEY_ID, TURN_KEY_API_TOKEN)
+ *   - coturn:     a self-hosted coturn with `use-auth-secret`. Credentials
+ *                 are computed here from TURN_SHARED_SECRET, with no call out.
+ *   - stun:       STUN_URLS only, for setups without a relay
+ * Every provider takes the env and a credential lifetime in seconds, and
+ * answers with the same shape, ready for RTCPeerConnection:
+ *   { iceServers: [{ urls: [...], username?, credential? }], ttl }
+ * where `ttl` is how long the credentials stay valid in seconds (null when
+ * there are none).
+ */
+
+// Defaults, overridable via the TURN_* / STUN_URLS vars in wrangler.toml
+const DEFAULT_PROVIDER = 'cloudflare';
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const DEFAULT_STUN_URLS = ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302'];
+
+const encoder = new TextEncoder();
+
+/**
+ * Providers by TURN_PROVIDER name. Each takes the worker env and a TTL in
+ * seconds, and resolves to the normalized response.
+ */
+export const TURN_PROVIDERS = {
+  cloudflare: cloudflareIceServers,
+  coturn: coturnIceServers,
+  stun: stunIceServers,
+};
+
+/**
+ * ICE servers from the provider the env selects.
+ *
+ * @param {Object} env - Worker env
+ * @param {number} [ttl] - Credential lifetime in seconds (default: readCredentialTtl(env))
+ * @returns {Promise<{ iceServers: Object[], ttl: number|null }>}
+ * @throws {Error} on an unknown provider, missing settings or an upstream failure
+ */
+export async function getIceServers(env, ttl = readCredentialTtl(env)) {
+  const name = env.TURN_PROVIDER || DEFAULT_PROVIDER;
+  const provider = TURN_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown TURN_PROVIDER "${name}"`);
+  }
+  return provider(env, ttl);
+}
+
+/**
+ * Configured credential lifetime in seconds (TURN_CREDENTIAL_TTL_SECONDS).
+ */
+export function readCredentialTtl(env) {
+  const value = Number.parseInt(env.TURN_CREDENTIAL_TTL_SECONDS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_TTL_SECONDS;
+}
+
+async function cloudflareIceServers(env, ttl) {
+  if (!env.TURN_KEY_ID || !env.TURN_KEY_API_TOKEN) {
+    throw new Error('cloudflare provider needs TURN_KEY_ID and TURN_KEY_API_TOKEN');
+  }
+
+  const response = await fetch(
+    `https://rtc.live.cloudflare.com/v1/turn/keys/${env.TURN_KEY_ID}/credentials/generate`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.TURN_KEY_API_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ttl }),
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`TURN API error ${response.status}: ${await response.text()}`);
+  }
+
+  // Older responses carry a single server object, newer ones a list
+  const data = await response.json();
+  return {
+    iceServers: [].concat(data.iceServers ?? []).map((server) => iceServer(server.urls, server.username, server.credential)),
+    ttl,
+  };
+}
+
+/**
+ * coturn's TURN REST API scheme: the username is `<expiry>:<id>` and the
+ * password is base64(HMAC-SHA1(secret, username)). coturn recomputes the
+ * password and refuses the username once `expiry` (Unix seconds) is past.
+ */
+async function coturnIceServers(env, ttl) {
+  const turnUrls = readList(env.TURN_URLS);
+  if (!env.TURN_SHARED_SECRET || turnUrls.length === 0) {
+    throw new Error('coturn provider needs TURN_SHARED_SECRET and TURN_URLS');
+  }
+
+  const expiry = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiry}:${randomId()}`;
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(env.TURN_SHARED_SECRET),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(username));
+  const credential = btoa(String.fromCharCode(...new Uint8Array(signature)));
+
+  return {
+    iceServers: [...stunServers(env), iceServer(turnUrls, username, credential)],
+    ttl,
+  };
+}
+
+async function stunIceServers(env) {
+  return { iceServers: stunServers(env), ttl: null };
+}
+
+function stunServers(env) {
+  const urls = env.STUN_URLS === undefined ? DEFAULT_STUN_URLS : readList(env.STUN_URLS);
+  return urls.length > 0 ? [iceServer(urls)] : [];
+}
+
+function iceServer(urls, username, credential) {
+  return {
+    urls: [].concat(urls),
+    ...(username !== undefined && { username }),
+    ...(credential !== undefined && { credential }),
+  };
+}
+
+/**
+ * Comma-separated var as a list, e.g. "turn:a:3478,turns:a:5349".
+ */
+function readList(value) {
+  return (value ?? '').split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+function randomId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -5,6 +5,123 @@
  * Each room is a Durable Object instance ensuring all peers share state.
  */
 
+import {
+  ERROR_CODES,
+  HEARTBEAT_PING,
+  HEARTBEAT_PONG,
+  LEGACY_VERSION,
+  MAX_ICE_BATCH,
+  PROTOCOL_VERSION,
+  SERVER_CAPABILITIES,
+  SUPPORTED_VERSIONS,
+  negotiateCapabilities,
+  refOf,
+  validateMessage
+} from './protocol.js';
+import { DIGEST_PATTERN, verifyRoomProof } from './admission.js';
+import { createSigningKey, signBroadcast } from './broadcast.js';
+import { toBase64Url } from './encoding.js';
+import { verifyPow } from './pow.js';
+import { buildTopology, sameNeighbors } from './topology.js';
+import { getIceServers, readCredentialTtl } from './turn.js';
+import {
+  TokenBucket,
+  budgetFor,
+  createConnectionBuckets,
+  createIpBuckets,
+  readRateLimits
+} from './rate-limit.js';
+
+// Heartbeat defaults, overridable via the HEARTBEAT_* vars: how often clients
+// should ping, how long a peer may stay silent, and how often the alarm
+// looks for silent peers. The check runs rarely so quiet rooms can sleep.
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 30000;
+const DEFAULT_HEARTBEAT_TIMEOUT_MS = 90000;
+const DEFAULT_HEARTBEAT_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Reconnection grace defaults, overridable via RESUME_WINDOW_MS / RESUME_QUEUE_LIMIT vars
+const DEFAULT_RESUME_WINDOW_MS = 30000;
+const DEFAULT_RESUME_QUEUE_LIMIT = 100;
+
+// Room lifetime: longest creator-set TTL, and how long an ended room keeps
+// refusing joins before its tombstone is wiped (MAX_ROOM_TTL_MS / ENDED_ROOM_RETENTION_MS vars)
+const DEFAULT_MAX_ROOM_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ENDED_ROOM_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// How long an empty room with a TTL keeps its config before the alarm wipes
+// it (EMPTY_ROOM_RETENTION_MS var). Rooms without a TTL are wiped at once.
+const DEFAULT_EMPTY_ROOM_RETENTION_MS = 10 * 60 * 1000;
+
+// Hard ceiling on admitted peers per room (MAX_ROOM_PEERS var). A creator can
+// choose a lower `maxPeers`, never a higher one.
+const DEFAULT_MAX_ROOM_PEERS = 50;
+
+// Invite lifetime when the creator gives no ttlMs, and the longest it may ask
+// for (INVITE_MAX_TTL_MS var)
+const DEFAULT_INVITE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_INVITE_MAX_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Most unexpired invites a room holds at once (MAX_ROOM_INVITES var)
+const DEFAULT_MAX_ROOM_INVITES = 100;
+
+// Durable Object storage deletes at most this many keys per call
+const STORAGE_DELETE_BATCH = 128;
+
+// Application close codes (4000-4999 are reserved for application use)
+const CLOSE_HEARTBEAT_TIMEOUT = 4000;
+const CLOSE_SUPERSEDED = 4001;
+const CLOSE_REJECTED = 4002;
+const CLOSE_KICKED = 4003;
+const CLOSE_ROOM_ENDED = 4004;
+const CLOSE_RATE_LIMITED = 4005;
+const CLOSE_UNSUPPORTED_VERSION = 4006;
+const CLOSE_ROOM_FULL = 4007;
+
+// Largest client frame accepted, overridable via the MAX_FRAME_BYTES var.
+// SDP offers are the biggest legitimate messages at a few KB.
+const DEFAULT_MAX_FRAME_BYTES = 64 * 1024;
+
+// Per-room bandwidth cap for the encrypted data relay fallback, overridable via
+// RELAY_ROOM_BYTES_PER_SECOND / RELAY_ROOM_BURST_BYTES. A rate of 0 disables relay.
+const DEFAULT_RELAY_ROOM_BYTES_PER_SECOND = 64 * 1024;
+const DEFAULT_RELAY_ROOM_BURST_BYTES = 256 * 1024;
+
+// Proof-of-work defaults, overridable via the POW_* vars. A base difficulty of
+// 0 turns the challenge off. Every POW_FAILURE_THRESHOLD failed joins within
+// POW_WINDOW_MS, across all rooms, adds one bit, up to POW_MAX_DIFFICULTY.
+const DEFAULT_POW_DIFFICULTY = 0;
+const DEFAULT_POW_MAX_DIFFICULTY = 22;
+const DEFAULT_POW_FAILURE_THRESHOLD = 10;
+const DEFAULT_POW_WINDOW_MS = 60 * 1000;
+
+// The single JoinGuard instance every room reports failed joins to. The
+// origin is a placeholder: requests to a Durable Object never leave Cloudflare.
+const JOIN_GUARD_NAME = 'global';
+const JOIN_GUARD_ORIGIN = 'https://join-guard';
+
+// Topology defaults, overridable via MESH_FULL_MAX_PEERS / MESH_DEGREE vars.
+// Rooms larger than MESH_FULL_MAX_PEERS switch from a full mesh to a partial
+// mesh where each peer that negotiated `partial-mesh` connects to at most
+// MESH_DEGREE such neighbors.
+const DEFAULT_MESH_FULL_MAX_PEERS = 8;
+const DEFAULT_MESH_DEGREE = 4;
+
+// How long ICE candidates for a peer that negotiated `ice-batch` are held
+// so they can go out as one frame (ICE_BATCH_WINDOW_MS var). 0 disables.
+const DEFAULT_ICE_BATCH_WINDOW_MS = 50;
+
+// TURN tickets: how long the ticket handed out with `peers`/`resumed` works,
+// and how many credential sets one ticket may fetch (TURN_TICKET_TTL_MS /
+// TURN_TICKET_MAX_ISSUES vars)
+const DEFAULT_TURN_TICKET_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_TURN_TICKET_MAX_ISSUES = 3;
+
+// Storage key prefix for peers waiting out their resume window
+const SUSPENDED_PREFIX = 'suspended:';
+
+// Storage key prefix for unredeemed invite tokens
+const INVITE_PREFIX = 'invite:';
+
 // Main worker - routes requests to the appropriate room Durable Object
 export default {
   async fetch(request, env) {
@@ -17,38 +134,50 @@ export default {
       });
     }
 
-    // TURN credentials endpoint
-    if (url.pathname === '/turn-credentials') {
-      return generateTurnCredentials(env);
-    }
-
     // CORS preflight
     if (request.method === 'OPTIONS') {
       return new Response(null, {
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         }
       });
     }
 
-    // WebSocket connections must include room code in path: /room/{roomCode}
+    // TURN credentials endpoint: /turn-credentials?room={roomId} with the
+    // room's ticket as a bearer token. The room checks the ticket.
+    if (url.pathname === '/turn-credentials') {
+      const roomName = url.searchParams.get('room');
+      if (!roomName) {
+        return jsonResponse({ error: 'Missing room ID' }, 400);
+      }
+      if (env.REQUIRE_DERIVED_ROOM_ID === 'true' && !DIGEST_PATTERN.test(roomName)) {
+        return jsonResponse({ error: 'Room must be a derived room ID' }, 400);
+      }
+      return env.ROOMS.get(env.ROOMS.idFromName(roomName)).fetch(request);
+    }
+
+    // WebSocket connections must include the room in the path: /room/{roomId}.
+    // Clients should send a derived room ID (see admission.js), never the code.
     if (url.pathname.startsWith('/room/')) {
-      const roomCode = url.pathname.split('/room/')[1];
-      if (!roomCode) {
-        return new Response('Missing room code', { status: 400 });
+      const roomName = url.pathname.split('/room/')[1];
+      if (!roomName) {
+        return new Response('Missing room ID', { status: 400 });
+      }
+      if (env.REQUIRE_DERIVED_ROOM_ID === 'true' && !DIGEST_PATTERN.test(roomName)) {
+        return new Response('Room path must be a derived room ID', { status: 400 });
       }
 
       // Get or create the Durable Object for this room
-      const roomId = env.ROOMS.idFromName(roomCode);
+      const roomId = env.ROOMS.idFromName(roomName);
       const room = env.ROOMS.get(roomId);
 
       // Forward the request to the Durable Object
       return room.fetch(request);
     }
 
-    return new Response('ShadowWhisper Signaling Server. Connect via WebSocket to /room/{roomCode}', {
+    return new Response('ShadowWhisper Signaling Server. Connect via WebSocket to /room/{roomId}', {
       headers: { 'Content-Type': 'text/plain' }
     });
   }
@@ -59,12 +188,74 @@ export default {
  *
  * Each instance handles one room. All WebSocket connections to the same room
  * connect to the same Durable Object instance, ensuring shared state.
+ *
+ * Sockets are accepted through the hibernation API, so an idle room can be
+ * evicted from memory without dropping its connections. Anything that must
+ * survive that is kept outside of instance fields: per-peer identity lives in
+ * each socket's serialized attachment, while the room config, bans, invites,
+ * suspended peers and the next liveness check live in `state.storage`. Tokens
+ * are stored only as hashes, and message content is never stored. The
+ * constructor rebuilds the in-memory maps from both on wake. Timers use the Durable Object alarm
+ * rather than setTimeout/setInterval, which would pin the object in memory,
+ * and client heartbeats are answered by the runtime's auto-response.
  */
 export class SignalingRoom {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    this.peers = new Map(); // peerId -> { ws, id }
+    this.peers = new Map(); // peerId -> admitted peer (see createPeer for shape)
+    this.waiting = new Map(); // peerId -> peer held for creator approval
+    this.waitlist = []; // peers queued for a free slot, oldest first
+    this.config = emptyRoomConfig();
+    this.bans = emptyBans();
+    this.sockets = new Map(); // WebSocket -> peer, for every accepted socket
+    this.resumeTokens = new Map(); // SHA-256 of resume token -> peerId
+    this.pendingAdmissions = 0; // slots held by admitPeer calls still awaiting
+    this.ipBuckets = new Map(); // client IP -> rate limit buckets shared by its sockets
+    this.turnIpBuckets = new Map(); // client IP -> /turn-credentials bucket
+    this.heartbeatDueAt = null;
+    this.signingKey = null; // room key pair for broadcast tags, loaded on first use
+    this.heartbeatIntervalMs = readIntVar(env, 'HEARTBEAT_INTERVAL_MS', DEFAULT_HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimeoutMs = readIntVar(env, 'HEARTBEAT_TIMEOUT_MS', DEFAULT_HEARTBEAT_TIMEOUT_MS);
+    this.heartbeatCheckIntervalMs = readIntVar(env, 'HEARTBEAT_CHECK_INTERVAL_MS', DEFAULT_HEARTBEAT_CHECK_INTERVAL_MS);
+    this.resumeWindowMs = readIntVar(env, 'RESUME_WINDOW_MS', DEFAULT_RESUME_WINDOW_MS);
+    this.resumeQueueLimit = readIntVar(env, 'RESUME_QUEUE_LIMIT', DEFAULT_RESUME_QUEUE_LIMIT);
+    this.maxRoomTtlMs = readIntVar(env, 'MAX_ROOM_TTL_MS', DEFAULT_MAX_ROOM_TTL_MS);
+    this.maxRoomPeers = readIntVar(env, 'MAX_ROOM_PEERS', DEFAULT_MAX_ROOM_PEERS);
+    this.inviteMaxTtlMs = readIntVar(env, 'INVITE_MAX_TTL_MS', DEFAULT_INVITE_MAX_TTL_MS);
+    this.maxRoomInvites = readIntVar(env, 'MAX_ROOM_INVITES', DEFAULT_MAX_ROOM_INVITES);
+    this.endedRoomRetentionMs = readIntVar(env, 'ENDED_ROOM_RETENTION_MS', DEFAULT_ENDED_ROOM_RETENTION_MS);
+    this.emptyRoomRetentionMs = readIntVar(env, 'EMPTY_ROOM_RETENTION_MS', DEFAULT_EMPTY_ROOM_RETENTION_MS);
+    this.rateLimits = readRateLimits(env);
+    this.maxFrameBytes = readIntVar(env, 'MAX_FRAME_BYTES', DEFAULT_MAX_FRAME_BYTES);
+    this.iceBatchWindowMs = readIntVar(env, 'ICE_BATCH_WINDOW_MS', DEFAULT_ICE_BATCH_WINDOW_MS);
+    const relayBytesPerSecond = readIntVar(env, 'RELAY_ROOM_BYTES_PER_SECOND', DEFAULT_RELAY_ROOM_BYTES_PER_SECOND);
+    this.relayBandwidth = relayBytesPerSecond > 0 ? new TokenBucket({
+      burst: readIntVar(env, 'RELAY_ROOM_BURST_BYTES', DEFAULT_RELAY_ROOM_BURST_BYTES),
+      perSecond: relayBytesPerSecond
+    }) : null;
+    this.capabilities = SERVER_CAPABILITIES.filter((capability) => capability !== 'relay' || this.relayBandwidth);
+    this.pow = readPowConfig(env);
+    // Deployment-wide failed-join counter; without it the difficulty stays at its base
+    this.joinGuard = env.JOIN_GUARD ? env.JOIN_GUARD.get(env.JOIN_GUARD.idFromName(JOIN_GUARD_NAME)) : null;
+    this.turn = {
+      ticketTtlMs: readIntVar(env, 'TURN_TICKET_TTL_MS', DEFAULT_TURN_TICKET_TTL_MS),
+      maxIssuesPerTicket: readIntVar(env, 'TURN_TICKET_MAX_ISSUES', DEFAULT_TURN_TICKET_MAX_ISSUES),
+      credentialTtlSeconds: readCredentialTtl(env)
+    };
+    this.mesh = {
+      fullMaxPeers: readIntVar(env, 'MESH_FULL_MAX_PEERS', DEFAULT_MESH_FULL_MAX_PEERS),
+      degree: Math.max(2, readIntVar(env, 'MESH_DEGREE', DEFAULT_MESH_DEGREE))
+    };
+
+    // Heartbeats are answered without waking the room
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair(HEARTBEAT_PING, HEARTBEAT_PONG));
+
+    // Rebuild in-memory state after waking from hibernation
+    for (const ws of this.state.getWebSockets()) {
+      this.restorePeer(ws);
+    }
+    this.state.blockConcurrencyWhile(() => this.restoreStoredState());
   }
 
   async fetch(request) {
@@ -73,6 +264,10 @@ export class SignalingRoom {
       return this.handleWebSocket(request);
     }
 
+    if (new URL(request.url).pathname === '/turn-credentials') {
+      return this.handleTurnCredentials(request);
+    }
+
     return new Response('Expected WebSocket', { status: 400 });
   }
 
@@ -80,30 +275,13 @@ export class SignalingRoom {
     const pair = new WebSocketPair();
     const [client, server] = Object.values(pair);
 
-    server.accept();
-
-    const peer = {
-      id: null,
-      ws: server
-    };
-
-    server.addEventListener('message', (event) => {
-      try {
-        const message = JSON.parse(event.data);
-        this.handleMessage(peer, message);
-      } catch (error) {
-        console.error('Invalid message:', error);
-      }
-    });
-
-    server.addEventListener('close', () => {
-      this.handleDisconnect(peer);
-    });
+    this.state.acceptWebSocket(server);
 
-    server.addEventListener('error', (error) => {
-      console.error('WebSocket error:', error);
-      this.handleDisconnect(peer);
+    const peer = this.createPeer(server, {
+      ip: request.headers.get('CF-Connecting-IP') ?? 'unknown'
     });
+    this.sockets.set(server, peer);
+    this.persistPeer(peer);
 
     return new Response(null, {
       status: 101,
@@ -111,146 +289,2089 @@ export class SignalingRoom {
     });
   }
 
-  handleMessage(peer, message) {
+  async webSocketMessage(ws, data) {
+    const peer = this.getPeer(ws);
+    // Frames that were already in flight when the room closed the socket
+    if (peer.closed) return;
+    this.markAlive(peer);
+
+    // Every frame is charged, including the ones refused below
+    const { message, error } = parseFrame(data, this.maxFrameBytes);
+    if (!(await this.checkRateLimit(peer, message?.type))) return;
+
+    if (error) {
+      this.sendError(peer, error.code, error.message);
+      return;
+    }
+
+    const invalid = validateMessage(message);
+    if (invalid) {
+      this.sendError(peer, invalid.code, invalid.message, message, invalid.field && { field: invalid.field });
+      return;
+    }
+
+    await this.handleMessage(peer, message);
+  }
+
+  async webSocketClose(ws, code, reason) {
+    const peer = this.getPeer(ws);
+    this.forgetSocket(ws);
+
+    // Complete the close handshake
+    closeSocket(ws, code, reason);
+
+    await this.handleDisconnect(peer);
+  }
+
+  async webSocketError(ws, error) {
+    console.error('WebSocket error:', error);
+    const peer = this.getPeer(ws);
+    this.forgetSocket(ws);
+    await this.handleDisconnect(peer);
+  }
+
+  async alarm() {
+    const now = Date.now();
+
+    if (this.config.endedAt !== null) {
+      if (now >= this.config.endedAt + this.endedRoomRetentionMs) {
+        await this.wipeRoom();
+      }
+      await this.scheduleAlarm();
+      return;
+    }
+
+    if (this.config.expiresAt !== null && now >= this.config.expiresAt) {
+      await this.endRoom('expired');
+      return;
+    }
+
+    if (this.config.emptiedAt !== null && now >= this.config.emptiedAt + this.emptyRoomRetentionMs) {
+      await this.wipeRoom();
+      await this.scheduleAlarm();
+      return;
+    }
+
+    await this.flushDueIceBatches(now);
+
+    if (this.heartbeatDueAt !== null && now >= this.heartbeatDueAt) {
+      this.heartbeatDueAt = null;
+      await this.checkHeartbeats();
+    }
+
+    for (const peer of Array.from(this.peers.values())) {
+      if (peer.suspended && peer.resumeDeadline <= now) {
+        await this.removePeer(peer);
+      }
+    }
+
+    await this.scheduleAlarm();
+  }
+
+  async handleMessage(peer, message) {
+    // Clients that never said hello speak the original unversioned protocol
+    if (peer.version === null && message.type !== 'hello') {
+      peer.version = LEGACY_VERSION;
+      this.persistPeer(peer);
+    }
+
     switch (message.type) {
+      case 'hello':
+        this.handleHello(peer, message);
+        break;
       case 'join':
-        this.handleJoin(peer, message);
+        await this.handleJoin(peer, message);
+        break;
+      case 'resume':
+        await this.handleResume(peer, message);
         break;
       case 'offer':
       case 'answer':
       case 'ice-candidate':
-        this.handleSignaling(peer, message);
+      case 'ice-candidates':
+        await this.handleSignaling(peer, message);
+        break;
+      case 'relay':
+        this.handleRelay(peer, message);
+        break;
+      case 'approve':
+        await this.handleApprove(peer, message);
+        break;
+      case 'reject':
+        this.handleReject(peer, message);
+        break;
+      case 'kick':
+        await this.handleKick(peer, message);
+        break;
+      case 'lock-room':
+        await this.handleLockRoom(peer, message);
+        break;
+      case 'create-invite':
+        await this.handleCreateInvite(peer, message);
+        break;
+      case 'broadcast':
+        await this.handleBroadcast(peer, message);
+        break;
+      case 'turn-ticket':
+        await this.handleTurnTicket(peer, message);
+        break;
+      case 'end-room':
+        if (this.requireCreator(peer, 'end the room', message)) {
+          await this.endRoom('ended');
+        }
         break;
       case 'leave':
-        this.handleDisconnect(peer);
+        // Explicit leave skips the resume window
+        await this.removePeer(peer);
         break;
-      default:
-        console.log('Unknown message type:', message.type);
+      case 'ping':
+        // A heartbeat the auto-response did not match, e.g. with extra fields
+        this.safeSend(peer, JSON.parse(HEARTBEAT_PONG));
+        break;
+      case 'pong':
+        // Liveness already recorded by markAlive()
+        break;
+    }
+  }
+
+  /**
+   * Version and capability handshake. Must be the first message on a socket.
+   */
+  handleHello(peer, message) {
+    if (peer.version !== null) {
+      this.sendError(peer, ERROR_CODES.INVALID_MESSAGE, 'hello must be the first message', message, { field: 'type' });
+      return;
+    }
+
+    if (!SUPPORTED_VERSIONS.includes(message.version)) {
+      this.sendError(peer, ERROR_CODES.UNSUPPORTED_VERSION, `Protocol version ${message.version} is not supported`, message, {
+        supportedVersions: SUPPORTED_VERSIONS
+      });
+      closeSocket(peer.ws, CLOSE_UNSUPPORTED_VERSION, 'Unsupported protocol version');
+      return;
     }
+
+    peer.version = message.version;
+    peer.capabilities = negotiateCapabilities(message.capabilities, this.capabilities);
+    this.persistPeer(peer);
+
+    this.safeSend(peer, {
+      type: 'welcome',
+      version: peer.version,
+      latestVersion: PROTOCOL_VERSION,
+      capabilities: peer.capabilities
+    });
   }
 
-  handleJoin(peer, message) {
-    const { peerId } = message;
+  /**
+   * Admit a new participant under a server-minted peer ID. Any `peerId` the
+   * client sends is ignored, so nobody can claim another peer's identity;
+   * an existing ID can only be taken over with its resume token.
+   */
+  async handleJoin(peer, message) {
+    if (peer.id) {
+      this.sendError(peer, ERROR_CODES.ALREADY_JOINED, `Already joined as ${peer.id}`, message);
+      return;
+    }
+
+    // Before anything that would reveal whether the room is live
+    if (this.pow.difficulty > 0 && !peer.powPassed && !(await this.checkProofOfWork(peer, message))) {
+      return;
+    }
+
+    // The alarm normally ends an expired room; this covers a late alarm
+    if (this.config.expiresAt !== null && Date.now() >= this.config.expiresAt && this.config.endedAt === null) {
+      await this.endRoom('expired');
+    }
+
+    if (this.config.endedAt !== null) {
+      if (message.isCreator !== true) {
+        this.refuseEnded(peer, message);
+        return;
+      }
+      // A creator reusing the code starts a brand new room
+      await this.wipeRoom();
+    }
+
+    if (await this.isBannedIp(peer.ip)) {
+      this.refuseBanned(peer, message);
+      return;
+    }
+
+    if (this.config.verifier && !(await this.checkAdmissionProof(peer, message))) {
+      return;
+    }
 
-    if (!peerId) {
-      peer.ws.send(JSON.stringify({ type: 'error', message: 'Missing peerId' }));
+    // An invite is pre-approved by the creator and is the only way into a locked room
+    const invited = message.invite !== undefined;
+    const spentInvite = invited ? await this.redeemInvite(peer, message) : null;
+    if (invited && !spentInvite) {
+      return;
+    }
+    if (!invited && this.config.locked) {
+      this.recordFailedJoin(peer);
+      this.sendError(peer, ERROR_CODES.ROOM_LOCKED, 'Room is locked', message);
+      closeSocket(peer.ws, CLOSE_REJECTED, 'Room is locked');
       return;
     }
 
+    // Dead sockets must not end up in the new peer's list
+    await this.checkHeartbeats({ probe: false });
+
+    const peerId = this.mintPeerId();
     peer.id = peerId;
+    peer.joinedAt = Date.now();
+
+    // The first joiner that claims to be the creator configures the room
+    if (!this.config.creatorId && message.isCreator === true) {
+      const ttlMs = message.ttlMs ? Math.min(message.ttlMs, this.maxRoomTtlMs) : null;
+      this.config = {
+        ...emptyRoomConfig(),
+        creatorId: peerId,
+        approvalMode: message.approvalMode === true,
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+        verifier: message.verifier ?? null,
+        maxPeers: message.maxPeers ? Math.min(message.maxPeers, this.maxRoomPeers) : null,
+        waitlist: message.waitlist === true
+      };
+      await this.state.storage.put('config', this.config);
+      peer.role = 'creator';
+    }
+
+    if (this.config.approvalMode && peer.role !== 'creator' && !invited) {
+      // An emptied room with a TTL keeps its rules, but nobody can approve
+      if (this.peers.size === 0) {
+        this.dismiss(peer);
+        return;
+      }
+      this.holdForApproval(peer, message);
+      return;
+    }
+
+    if (!(await this.admitOrWaitlist(peer, message)) && spentInvite) {
+      // Turned away as ROOM_FULL: the invite was never used
+      await this.state.storage.put(spentInvite.key, spentInvite.invite);
+    }
+  }
+
+  /**
+   * Spend an invite token. Tokens are deleted on first use whether or not
+   * they are still valid, so each one admits at most one peer. The caller
+   * puts a live token back if the room turns the peer away as full.
+   *
+   * @returns {Promise<{key: string, invite: Object}|null>} the spent invite
+   *   when the token was live
+   */
+  async redeemInvite(peer, message) {
+    const key = inviteKey(await hashToken(message.invite));
+    const invite = await this.state.storage.get(key);
+    if (invite) {
+      await this.state.storage.delete(key);
+      if (invite.expiresAt > Date.now()) {
+        return { key, invite };
+      }
+    }
+
+    this.recordFailedJoin(peer);
+    this.sendError(peer, ERROR_CODES.INVITE_INVALID, 'Invite is invalid, used or expired', message);
+    closeSocket(peer.ws, CLOSE_REJECTED, 'Invalid invite');
+    return null;
+  }
+
+  /**
+   * Most peers the room admits at once: the creator's `maxPeers`, capped by
+   * the deployment's MAX_ROOM_PEERS.
+   */
+  capacity() {
+    return Math.min(this.config.maxPeers ?? this.maxRoomPeers, this.maxRoomPeers);
+  }
+
+  isFull() {
+    return this.peers.size + this.pendingAdmissions >= this.capacity();
+  }
+
+  /**
+   * Admit a peer if there is room. Otherwise queue it on the waitlist when
+   * the creator enabled one, or turn it away with ROOM_FULL.
+   *
+   * @returns {Promise<boolean>} false when the peer was turned away
+   */
+  async admitOrWaitlist(peer, request = null) {
+    if (!this.isFull()) {
+      await this.admitPeer(peer);
+      return true;
+    }
+
+    if (this.config.waitlist) {
+      this.addToWaitlist(peer);
+      return true;
+    }
+
+    this.sendError(peer, ERROR_CODES.ROOM_FULL, 'Room is full', request, { maxPeers: this.capacity() });
+    peer.id = null;
+    this.persistPeer(peer);
+    closeSocket(peer.ws, CLOSE_ROOM_FULL, 'Room is full');
+    return false;
+  }
+
+  addToWaitlist(peer) {
+    peer.waitlistedAt = Date.now();
+    this.waitlist.push(peer);
+    this.persistPeer(peer);
+
+    this.safeSend(peer, { type: 'waitlisted', peerId: peer.id, position: this.waitlist.length });
+
+    console.log(`Peer ${peer.id} waitlisted at position ${this.waitlist.length}`);
+  }
+
+  /**
+   * A waitlisted peer left: drop it and move everyone behind it up.
+   */
+  leaveWaitlist(peer) {
+    const index = this.waitlist.indexOf(peer);
+    if (index !== -1) {
+      this.waitlist.splice(index, 1);
+    }
+    peer.id = null;
+    peer.waitlistedAt = null;
+    this.persistPeer(peer);
+
+    this.sendWaitlistPositions(index);
+  }
+
+  /**
+   * Fill free slots from the head of the waitlist.
+   */
+  async promoteFromWaitlist() {
+    let promoted = 0;
+    while (this.waitlist.length > 0 && !this.isFull()) {
+      const next = this.waitlist.shift();
+      next.waitlistedAt = null;
+      await this.admitPeer(next);
+      promoted++;
+    }
 
-    // Get existing peers before adding new one
-    const existingPeers = Array.from(this.peers.keys());
+    if (promoted > 0) {
+      this.sendWaitlistPositions(0);
+    }
+  }
+
+  sendWaitlistPositions(fromIndex) {
+    for (let index = Math.max(0, fromIndex); index < this.waitlist.length; index++) {
+      this.safeSend(this.waitlist[index], { type: 'waitlisted', peerId: this.waitlist[index].id, position: index + 1 });
+    }
+  }
+
+  /**
+   * Challenge-response for rooms with a registered verifier. A join without
+   * a proof (or without an outstanding challenge) gets a fresh nonce; the
+   * client answers by repeating `join` with `proof`. Each nonce is good for
+   * one attempt, and a wrong proof closes the socket.
+   *
+   * @returns {Promise<boolean>} true when the joiner proved it knows the code
+   */
+  async checkAdmissionProof(peer, message) {
+    const nonce = peer.challenge;
+    if (!message.proof || !nonce) {
+      peer.challenge = randomToken();
+      this.persistPeer(peer);
+      this.safeSend(peer, {
+        type: 'challenge',
+        nonce: peer.challenge,
+        ...(refOf(message) !== undefined && { ref: refOf(message) })
+      });
+      return false;
+    }
+
+    peer.challenge = null;
+    this.persistPeer(peer);
+    if (await verifyRoomProof(this.config.verifier, nonce, message.proof)) {
+      return true;
+    }
+
+    this.recordFailedJoin(peer);
+    this.sendError(peer, ERROR_CODES.ADMISSION_FAILED, 'Room proof did not verify', message);
+    closeSocket(peer.ws, CLOSE_REJECTED, 'Admission failed');
+    return false;
+  }
+
+  /**
+   * Hashcash gate in front of `join` and `resume` (see pow.js). Works like
+   * the admission challenge: a request without a solution gets a
+   * `pow-challenge`, the client repeats it with `pow`, and a wrong solution
+   * closes the socket. A socket only has to solve one challenge.
+   *
+   * @returns {Promise<boolean>} true when the client presented a valid solution
+   */
+  async checkProofOfWork(peer, message) {
+    const challenge = peer.powChallenge;
+    if (!message.pow || !challenge) {
+      peer.powChallenge = { nonce: randomToken(), difficulty: await this.currentPowDifficulty() };
+      this.persistPeer(peer);
+      this.safeSend(peer, {
+        type: 'pow-challenge',
+        ...peer.powChallenge,
+        ...(refOf(message) !== undefined && { ref: refOf(message) })
+      });
+      return false;
+    }
+
+    peer.powChallenge = null;
+    if (await verifyPow(challenge.nonce, challenge.difficulty, message.pow)) {
+      peer.powPassed = true;
+      this.persistPeer(peer);
+      return true;
+    }
+    this.persistPeer(peer);
+
+    // Not a failed join: a wrong answer cost nothing to send
+    this.sendError(peer, ERROR_CODES.POW_FAILED, 'Proof of work did not verify', message);
+    closeSocket(peer.ws, CLOSE_REJECTED, 'Proof of work failed');
+    return false;
+  }
+
+  /**
+   * Difficulty for a new challenge, as set by the JoinGuard. Falls back to
+   * the base difficulty when the guard is missing or unreachable.
+   */
+  async currentPowDifficulty() {
+    if (!this.joinGuard) return this.pow.difficulty;
+    try {
+      const response = await this.joinGuard.fetch(new Request(`${JOIN_GUARD_ORIGIN}/difficulty`));
+      const { difficulty } = await response.json();
+      return difficulty;
+    } catch (error) {
+      console.error('Join guard unavailable:', error.message);
+      return this.pow.difficulty;
+    }
+  }
+
+  /**
+   * Report a failed join to the JoinGuard. Only attempts that came with a
+   * valid proof of work count, so driving the difficulty up costs the
+   * sender real work, and each solution pays for one failure: the next
+   * attempt on the socket needs a new one. Not awaited: a lost report only
+   * delays the next difficulty bump.
+   */
+  recordFailedJoin(peer) {
+    if (!peer.powPassed || !this.joinGuard) return;
+    peer.powPassed = false;
+    this.persistPeer(peer);
+    this.joinGuard.fetch(new Request(`${JOIN_GUARD_ORIGIN}/failure`, { method: 'POST' }))
+      .catch((error) => console.error('Join guard report failed:', error.message));
+  }
+
+
+  /**
+   * Add a peer to the room: hand it the peer list and announce it.
+   */
+  async admitPeer(peer) {
+    // The caller checked isFull(). Crypto awaits let other joins run, so
+    // hold the slot until the peer is in the room.
+    this.pendingAdmissions++;
+    let publicJwk, resumeToken, turnTicket;
+    try {
+      ({ publicJwk } = await this.getSigningKey());
+      resumeToken = await this.issueResumeToken(peer);
+      turnTicket = await this.issueTurnTicket(peer);
+    } finally {
+      this.pendingAdmissions--;
+    }
 
     // Add peer to room
+    const peerId = peer.id;
+    peer.awaitingApproval = false;
+    peer.admittedSeq = this.nextAdmittedSeq();
     this.peers.set(peerId, peer);
+    const topology = this.computeTopology();
+    peer.neighbors = topology?.get(peerId) ?? null;
+    this.persistPeer(peer);
+
+    if (this.config.emptiedAt !== null) {
+      this.config.emptiedAt = null;
+      await this.state.storage.put('config', this.config);
+    }
 
-    // Send list of existing peers to the new joiner
-    peer.ws.send(JSON.stringify({
+    // Send the peers to connect to (everyone, or its neighbors in a large
+    // room). The newest peer offers to all of them.
+    this.safeSend(peer, {
       type: 'peers',
-      peers: existingPeers
-    }));
+      peerId,
+      role: 'offerer',
+      adminId: this.config.creatorId,
+      broadcastKey: publicJwk,
+      peers: this.neighborsOf(peer, topology).map((neighbor) => neighbor.id),
+      topology: peer.neighbors ? 'partial' : 'full',
+      resumeToken,
+      resumeWindowMs: this.resumeWindowMs,
+      heartbeatIntervalMs: this.heartbeatIntervalMs,
+      expiresAt: this.config.expiresAt,
+      ...turnTicket
+    });
 
     // Notify existing peers about the new joiner
     for (const [existingPeerId, existingPeer] of this.peers) {
       if (existingPeerId !== peerId) {
-        existingPeer.ws.send(JSON.stringify({
+        this.sendTo(existingPeer, {
           type: 'peer-joined',
-          peerId: peerId
-        }));
+          peerId: peerId,
+          role: 'answerer'
+        });
       }
     }
 
+    this.rebalanceTopology(topology);
+    await this.ensureAdmin();
+
     console.log(`Peer ${peerId} joined. Room size: ${this.peers.size}`);
+
+    await this.scheduleAlarm();
   }
 
-  handleSignaling(peer, message) {
-    if (!peer.id) {
-      peer.ws.send(JSON.stringify({ type: 'error', message: 'Not joined yet' }));
+  /**
+   * Approval mode: park the joiner until the creator approves or rejects it.
+   * Waiting peers are not in `this.peers`, so nobody can signal them and
+   * they cannot signal anyone.
+   */
+  holdForApproval(peer, message) {
+    peer.awaitingApproval = true;
+    peer.displayName = message.displayName ?? null;
+    this.waiting.set(peer.id, peer);
+    this.persistPeer(peer);
+
+    this.safeSend(peer, { type: 'waiting', peerId: peer.id });
+    this.sendJoinRequest(peer);
+
+    console.log(`Peer ${peer.id} waiting for approval`);
+  }
+
+  sendJoinRequest(waitingPeer) {
+    const creator = this.peers.get(this.config.creatorId);
+    if (!creator) return;
+
+    this.sendTo(creator, {
+      type: 'join-request',
+      peerId: waitingPeer.id,
+      displayName: waitingPeer.displayName
+    });
+  }
+
+  async handleApprove(peer, message) {
+    if (!this.requireCreator(peer, 'approve', message)) return;
+
+    const target = this.waiting.get(message.peerId);
+    if (!target) {
+      this.sendError(peer, ERROR_CODES.NO_PENDING_REQUEST, `No pending request from ${message.peerId}`, message);
       return;
     }
 
-    const targetPeer = this.peers.get(message.targetPeerId);
-    if (!targetPeer) {
-      peer.ws.send(JSON.stringify({
-        type: 'error',
-        message: `Peer ${message.targetPeerId} not found`
-      }));
+    // Without a waitlist the request stays pending until a slot frees up
+    if (this.isFull() && !this.config.waitlist) {
+      this.sendError(peer, ERROR_CODES.ROOM_FULL, 'Room is full', message, { maxPeers: this.capacity() });
       return;
     }
 
-    // Relay the message to the target peer
-    targetPeer.ws.send(JSON.stringify({
-      type: message.type,
-      fromPeerId: peer.id,
-      payload: message.payload
-    }));
+    this.waiting.delete(target.id);
+    target.awaitingApproval = false;
+    await this.admitOrWaitlist(target);
   }
 
-  handleDisconnect(peer) {
-    if (!peer.id) return;
+  handleReject(peer, message) {
+    if (!this.requireCreator(peer, 'reject', message)) return;
 
-    // Remove peer from room
-    this.peers.delete(peer.id);
+    const target = this.waiting.get(message.peerId);
+    if (!target) {
+      this.sendError(peer, ERROR_CODES.NO_PENDING_REQUEST, `No pending request from ${message.peerId}`, message);
+      return;
+    }
 
-    // Notify remaining peers
-    for (const [, remainingPeer] of this.peers) {
-      remainingPeer.ws.send(JSON.stringify({
-        type: 'peer-left',
-        peerId: peer.id
-      }));
+    this.waiting.delete(target.id);
+    this.safeSend(target, { type: 'rejected' });
+    target.id = null;
+    target.awaitingApproval = false;
+    this.persistPeer(target);
+    closeSocket(target.ws, CLOSE_REJECTED, 'Join request rejected');
+
+    console.log(`Peer ${message.peerId} rejected`);
+  }
+
+  /**
+   * Remove a participant and ban it for the rest of the room's lifetime.
+   * Peer IDs are minted per join, so the ban is on what a returning client
+   * cannot shed by reconnecting: its resume token and its IP address.
+   */
+  async handleKick(peer, message) {
+    if (!this.requireCreator(peer, 'kick', message)) return;
+
+    const targetId = message.peerId;
+    const target = this.peers.get(targetId) ??
+      this.waiting.get(targetId) ??
+      this.waitlist.find((waitlisted) => waitlisted.id === targetId);
+    if (!target || target === peer) {
+      this.sendError(peer, ERROR_CODES.CANNOT_KICK, `Cannot kick ${targetId}`, message);
+      return;
     }
 
-    console.log(`Peer ${peer.id} left. Room size: ${this.peers.size}`);
+    if (target.resumeTokenHash) {
+      this.bans.resumeTokenHashes.add(target.resumeTokenHash);
+    }
+    if (target.ip !== 'unknown') {
+      this.bans.ipHashes.add(await this.hashIp(target.ip));
+    }
+    await this.saveBans();
 
-    peer.id = null;
+    const ws = target.suspended ? null : target.ws;
+    if (ws) {
+      this.safeSend(target, { type: 'kicked' });
+    }
+
+    await this.removePeer(target, 'kicked');
+
+    if (ws) {
+      closeSocket(ws, CLOSE_KICKED, 'Kicked by room creator');
+    }
+
+    console.log(`Peer ${targetId} kicked and banned`);
   }
-}
 
-/**
- * Generate short-lived TURN credentials from Cloudflare
- */
-async function generateTurnCredentials(env) {
-  try {
-    const response = await fetch(
-      `https://rtc.live.cloudflare.com/v1/turn/keys/${env.TURN_KEY_ID}/credentials/generate`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${env.TURN_KEY_API_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ ttl: 86400 }),
+  /**
+   * Keep the admin role with someone who is connected. Once the creator has
+   * left the room (an explicit leave, or a disconnect or heartbeat timeout
+   * whose resume window ran out), the longest-admitted connected peer takes
+   * over and everyone is told. A creator that is only suspended keeps the role, and rooms that
+   * never had a creator get no admin.
+   */
+  async ensureAdmin() {
+    if (!this.config.creatorId || this.peers.has(this.config.creatorId)) return;
+
+    let successor = null;
+    for (const peer of this.peers.values()) {
+      if (peer.suspended) continue;
+      if (!successor || peer.admittedSeq < successor.admittedSeq) {
+        successor = peer;
       }
-    );
+    }
+    if (!successor) return;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('TURN API error:', response.status, errorText);
-      return new Response(JSON.stringify({ error: 'Failed to generate TURN credentials' }), {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-      });
+    const previousPeerId = this.config.creatorId;
+    this.config.creatorId = successor.id;
+    successor.role = 'creator';
+    this.persistPeer(successor);
+    await this.state.storage.put('config', this.config);
+
+    for (const peer of this.peers.values()) {
+      this.sendTo(peer, { type: 'admin-changed', peerId: successor.id, previousPeerId });
     }
 
-    const data = await response.json();
-    return new Response(JSON.stringify(data), {
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-    });
-  } catch (error) {
-    console.error('TURN credentials error:', error);
-    return new Response(JSON.stringify({ error: 'Failed to generate TURN credentials' }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
+    // The new admin has to decide on requests the old one left pending
+    for (const waitingPeer of this.waiting.values()) {
+      this.sendJoinRequest(waitingPeer);
+    }
+
+    console.log(`Peer ${successor.id} is now the room admin`);
+  }
+
+  /**
+   * Room-scoped control channel: the admin sends an approved control event
+   * and every other admitted peer receives it over signaling, signed with
+   * the room key, so it arrives even before any data channel is open.
+   */
+  async handleBroadcast(peer, message) {
+    if (!this.requireCreator(peer, 'broadcast', message)) return;
+
+    const body = JSON.stringify({
+      event: message.event,
+      data: message.data ?? null,
+      fromPeerId: peer.id,
+      sentAt: Date.now()
     });
+    const tag = await signBroadcast((await this.getSigningKey()).privateJwk, body);
+
+    for (const other of this.peers.values()) {
+      if (other !== peer) {
+        this.sendTo(other, { type: 'broadcast', body, tag });
+      }
+    }
+  }
+
+  /**
+   * A fresh TURN ticket, for peers whose ticket expired or was used up.
+   */
+  async handleTurnTicket(peer, message) {
+    if (!this.requireAdmitted(peer, message)) return;
+
+    const turnTicket = await this.issueTurnTicket(peer);
+    this.persistPeer(peer);
+    this.safeSend(peer, { type: 'turn-ticket', ...turnTicket });
   }
+
+  /**
+   * `/turn-credentials`, forwarded by the worker. Credentials are only
+   * issued to a connected peer with a live ticket, within the per-IP and
+   * per-ticket limits, and never outlive the room's TTL.
+   */
+  async handleTurnCredentials(request) {
+    const ip = request.headers.get('CF-Connecting-IP') ?? 'unknown';
+    const bucket = this.getTurnBucket(ip);
+    if (!bucket.take()) {
+      const retryAfterMs = bucket.retryAfterMs();
+      return jsonResponse({ error: 'Too many TURN credential requests' }, 429,
+        retryAfterMs === null ? {} : { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) });
+    }
+
+    const ticket = request.headers.get('Authorization')?.match(/^Bearer (\S+)$/)?.[1];
+    const ticketHash = ticket ? await hashToken(ticket) : null;
+    const now = Date.now();
+    const peer = Array.from(this.peers.values()).find((candidate) =>
+      !candidate.suspended && ticketHash !== null && candidate.turnTicket?.hash === ticketHash);
+    if (!peer || peer.turnTicket.expiresAt <= now) {
+      return jsonResponse({ error: 'Invalid or expired ticket' }, 401);
+    }
+    if (peer.turnTicket.issued >= this.turn.maxIssuesPerTicket) {
+      return jsonResponse({ error: 'Ticket used up' }, 429);
+    }
+
+    let ttl = this.turn.credentialTtlSeconds;
+    if (this.config.expiresAt !== null) {
+      ttl = Math.min(ttl, Math.floor((this.config.expiresAt - now) / 1000));
+    }
+    if (ttl <= 0) {
+      return jsonResponse({ error: 'Room is about to expire' }, 401);
+    }
+
+    peer.turnTicket.issued += 1;
+    this.persistPeer(peer);
+    return generateTurnCredentials(this.env, ttl);
+  }
+
+  /**
+   * The room's broadcast key pair, created on first use and kept in storage
+   * so tags stay verifiable across hibernation. Wiped with the room.
+   */
+  async getSigningKey() {
+    if (!this.signingKey) {
+      const stored = (await this.state.storage.get('signingKey')) ?? (await createSigningKey());
+      // Another event may have created one while we awaited
+      this.signingKey ??= stored;
+      await this.state.storage.put('signingKey', this.signingKey);
+    }
+    return this.signingKey;
+  }
+
+  /**
+   * Lock (or with `locked: false`, unlock) the room. While locked, only
+   * joins carrying a valid invite are accepted.
+   */
+  async handleLockRoom(peer, message) {
+    if (!this.requireCreator(peer, 'lock the room', message)) return;
+
+    this.config.locked = message.locked !== false;
+    await this.state.storage.put('config', this.config);
+
+    for (const other of this.peers.values()) {
+      this.sendTo(other, { type: 'room-locked', locked: this.config.locked });
+    }
+
+    console.log(`Room ${this.config.locked ? 'locked' : 'unlocked'}`);
+  }
+
+  /**
+   * Mint a single-use invite token for the creator to hand out, up to
+   * MAX_ROOM_INVITES unexpired ones at a time.
+   */
+  async handleCreateInvite(peer, message) {
+    if (!this.requireCreator(peer, 'create invites', message)) return;
+
+    if ((await this.pruneInvites()) >= this.maxRoomInvites) {
+      this.sendError(peer, ERROR_CODES.TOO_MANY_INVITES, 'Too many unexpired invites', message, {
+        maxInvites: this.maxRoomInvites
+      });
+      return;
+    }
+
+    const token = randomToken();
+    const expiresAt = Date.now() + Math.min(message.ttlMs ?? DEFAULT_INVITE_TTL_MS, this.inviteMaxTtlMs);
+    await this.state.storage.put(inviteKey(await hashToken(token)), { expiresAt });
+
+    this.safeSend(peer, {
+      type: 'invite-created',
+      token,
+      expiresAt,
+      ...(refOf(message) !== undefined && { ref: refOf(message) })
+    });
+  }
+
+  /**
+   * Delete expired invites.
+   *
+   * @returns {Promise<number>} how many unexpired invites remain
+   */
+  async pruneInvites() {
+    const invites = await this.state.storage.list({ prefix: INVITE_PREFIX });
+    const now = Date.now();
+    const expired = Array.from(invites)
+      .filter(([, invite]) => invite.expiresAt <= now)
+      .map(([key]) => key);
+    await this.deleteKeys(expired);
+    return invites.size - expired.length;
+  }
+
+  /**
+   * Tell everyone the room is over, close every socket and leave a tombstone
+   * so the code refuses joins until a creator reuses it (or the tombstone is
+   * wiped after ENDED_ROOM_RETENTION_MS).
+   */
+  async endRoom(reason) {
+    const everyone = [...this.peers.values(), ...this.waiting.values(), ...this.waitlist];
+
+    for (const peer of everyone) {
+      if (peer.suspended) continue;
+
+      this.safeSend(peer, { type: 'room-ended', reason });
+      peer.id = null;
+      peer.awaitingApproval = false;
+      peer.waitlistedAt = null;
+      this.persistPeer(peer);
+      closeSocket(peer.ws, CLOSE_ROOM_ENDED, 'Room ended');
+    }
+    this.waiting.clear();
+    this.waitlist = [];
+
+    await this.wipeRoom();
+    this.config.endedAt = Date.now();
+    await this.state.storage.put('config', this.config);
+    await this.scheduleAlarm();
+
+    console.log(`Room ended (${reason}), ${everyone.length} peers disconnected`);
+  }
+
+  /**
+   * Drop all room state, in memory and in storage.
+   */
+  async wipeRoom() {
+    this.dismissQueued();
+    this.peers.clear();
+    this.waiting.clear();
+    this.waitlist = [];
+    this.resumeTokens.clear();
+    this.config = emptyRoomConfig();
+    this.bans = emptyBans();
+    this.heartbeatDueAt = null;
+    this.signingKey = null;
+    await this.state.storage.deleteAll();
+  }
+
+  refuseEnded(peer, request) {
+    this.recordFailedJoin(peer);
+    this.sendError(peer, ERROR_CODES.ROOM_ENDED, 'Room has ended', request);
+    closeSocket(peer.ws, CLOSE_ROOM_ENDED, 'Room has ended');
+  }
+
+  refuseBanned(peer, request) {
+    this.recordFailedJoin(peer);
+    this.sendError(peer, ERROR_CODES.BANNED, 'Banned from this room', request);
+    closeSocket(peer.ws, CLOSE_KICKED, 'Banned from this room');
+  }
+
+  async saveBans() {
+    await this.state.storage.put('bans', {
+      resumeTokenHashes: Array.from(this.bans.resumeTokenHashes),
+      ipHashes: Array.from(this.bans.ipHashes)
+    });
+  }
+
+  async isBannedIp(ip) {
+    return this.bans.ipHashes.size > 0 && ip !== 'unknown' && this.bans.ipHashes.has(await this.hashIp(ip));
+  }
+
+  /**
+   * Banned IPs are stored as hashes salted with the room's object ID, so the
+   * stored list is useless outside this room and cannot be matched against
+   * other rooms' bans.
+   */
+  hashIp(ip) {
+    return hashToken(`${this.state.id}:${ip}`);
+  }
+
+  requireCreator(peer, action, request) {
+    if (peer.id && peer.id === this.config.creatorId && this.peers.get(peer.id) === peer) {
+      return true;
+    }
+    this.sendError(peer, ERROR_CODES.NOT_CREATOR, `Only the room creator can ${action}`, request);
+    return false;
+  }
+
+  /**
+   * Only admitted peers may send anything to other peers.
+   */
+  requireAdmitted(peer, message) {
+    if (!peer.id) {
+      this.sendError(peer, ERROR_CODES.NOT_JOINED, 'Not joined yet', message);
+      return false;
+    }
+
+    if (peer.awaitingApproval) {
+      this.sendError(peer, ERROR_CODES.AWAITING_APPROVAL, 'Waiting for approval', message);
+      return false;
+    }
+
+    if (peer.waitlistedAt) {
+      this.sendError(peer, ERROR_CODES.WAITLISTED, 'Waiting for a free slot', message);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Forward an offer, answer or ICE candidates. Each frame is numbered with
+   * the target's next `seq` so the target can spot gaps, and is queued if the
+   * target is offline. With `ack: true` the sender hears whether it was
+   * delivered, queued or dropped.
+   */
+  async handleSignaling(peer, message) {
+    if (!this.requireAdmitted(peer, message)) return;
+
+    const targetPeer = this.peers.get(message.targetPeerId);
+    if (!targetPeer) {
+      this.sendError(peer, ERROR_CODES.PEER_NOT_FOUND, `Peer ${message.targetPeerId} not found`, message, {
+        targetPeerId: message.targetPeerId
+      });
+      return;
+    }
+
+    // Only the designated offerer may start a negotiation, so offers never cross
+    if (message.type === 'offer' && this.roleToward(peer, targetPeer) !== 'offerer') {
+      this.sendError(peer, ERROR_CODES.NOT_OFFERER, `Peer ${message.targetPeerId} makes the offer`, message, {
+        targetPeerId: message.targetPeerId
+      });
+      return;
+    }
+
+    const receipts = message.ack ? [{ fromPeerId: peer.id, targetPeerId: targetPeer.id, ref: refOf(message) }] : [];
+
+    const batching = targetPeer.capabilities.includes('ice-batch');
+    if (message.type === 'ice-candidates' || (message.type === 'ice-candidate' && batching)) {
+      await this.queueCandidates(peer, targetPeer, message, receipts);
+      return;
+    }
+
+    // Candidates already held for the target must not be overtaken
+    await this.flushIceBatch(targetPeer, peer.id);
+
+    await this.forwardSignal(peer.id, targetPeer, {
+      type: message.type,
+      fromPeerId: peer.id,
+      payload: message.payload
+    }, receipts);
+  }
+
+  /**
+   * Collect candidates for a target. A target that negotiated `ice-batch`
+   * gets everything one sender gathers within ICE_BATCH_WINDOW_MS as one
+   * `ice-candidates` frame; the window closes early on end-of-candidates or
+   * a full batch. Other targets get each candidate as its own frame.
+   */
+  async queueCandidates(peer, targetPeer, message, receipts) {
+    const incoming = message.type === 'ice-candidates' ? message.candidates : [message.payload];
+    // An empty candidate is the standard end-of-candidates marker
+    const candidates = incoming.filter((candidate) => candidate.candidate !== '');
+    const complete = message.complete === true || candidates.length < incoming.length;
+    if (candidates.length === 0 && !complete) return;
+
+    const opened = !targetPeer.iceBatches.has(peer.id);
+    if (opened) {
+      targetPeer.iceBatches.set(peer.id, { candidates: [], complete: false, receipts: [], flushAt: Date.now() + this.iceBatchWindowMs });
+    }
+    const batch = targetPeer.iceBatches.get(peer.id);
+    batch.candidates.push(...candidates);
+    batch.complete ||= complete;
+    batch.receipts.push(...receipts);
+
+    const batching = targetPeer.capabilities.includes('ice-batch');
+    if (!batching || this.iceBatchWindowMs <= 0 || batch.complete || batch.candidates.length >= MAX_ICE_BATCH) {
+      await this.flushIceBatch(targetPeer, peer.id);
+    } else if (opened) {
+      await this.scheduleAlarm();
+    }
+  }
+
+  /**
+   * Send the candidates held for a target from one sender, in the format the
+   * target negotiated. Full batches are split at MAX_ICE_BATCH.
+   */
+  async flushIceBatch(targetPeer, fromPeerId) {
+    const batch = targetPeer.iceBatches.get(fromPeerId);
+    if (!batch) return;
+    targetPeer.iceBatches.delete(fromPeerId);
+
+    const frames = [];
+    if (targetPeer.capabilities.includes('ice-batch')) {
+      for (let start = 0; start < batch.candidates.length || frames.length === 0; start += MAX_ICE_BATCH) {
+        frames.push({ type: 'ice-candidates', fromPeerId, candidates: batch.candidates.slice(start, start + MAX_ICE_BATCH) });
+      }
+      if (batch.complete) {
+        frames[frames.length - 1].complete = true;
+      }
+    } else {
+      for (const candidate of batch.candidates) {
+        frames.push({ type: 'ice-candidate', fromPeerId, payload: candidate });
+      }
+      if (batch.complete) {
+        frames.push({ type: 'ice-candidate', fromPeerId, payload: { candidate: '' } });
+      }
+    }
+
+    // Receipts report the frame that completes the sender's message
+    for (const [index, frame] of frames.entries()) {
+      await this.forwardSignal(fromPeerId, targetPeer, frame, index === frames.length - 1 ? batch.receipts : []);
+    }
+  }
+
+  /**
+   * Flush every batch whose window has closed. Run from the alarm.
+   */
+  async flushDueIceBatches(now) {
+    for (const peer of Array.from(this.peers.values())) {
+      for (const [fromPeerId, batch] of Array.from(peer.iceBatches)) {
+        if (batch.flushAt <= now) {
+          await this.flushIceBatch(peer, fromPeerId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Number a signaling frame and hand it to the target (queued if it is
+   * mid-reconnect), then answer any receipts riding on it.
+   */
+  async forwardSignal(fromPeerId, targetPeer, message, receipts) {
+    targetPeer.signalSeq += 1;
+    const seq = targetPeer.signalSeq;
+    for (const receipt of receipts) {
+      receipt.seq = seq;
+    }
+
+    const status = this.sendTo(targetPeer, { ...message, seq }, receipts);
+
+    // The queue is memory only; storing the counter means a wake from
+    // hibernation shows up as a gap rather than reused numbers
+    if (targetPeer.suspended) {
+      await this.saveSuspendedPeer(targetPeer);
+    } else {
+      this.persistPeer(targetPeer);
+    }
+
+    for (const receipt of receipts) {
+      this.sendAck(receipt, status);
+    }
+  }
+
+  /**
+   * Tell the sender of a signaling message what became of it. Statuses:
+   * `delivered` (handed to the target's socket), `queued` (target offline,
+   * a `delivered` follows if it resumes) and `dropped` (pushed out of a
+   * full queue).
+   */
+  sendAck(receipt, status) {
+    const sender = this.peers.get(receipt.fromPeerId);
+    if (!sender) return;
+
+    this.sendTo(sender, {
+      type: 'ack',
+      targetPeerId: receipt.targetPeerId,
+      seq: receipt.seq,
+      status,
+      ...(receipt.ref !== undefined && { ref: receipt.ref })
+    });
+  }
+
+  /**
+   * Neighbor sets for the current room, or null while it is small enough
+   * for a full mesh.
+   *
+   * Only peers that negotiated `partial-mesh` know how to gossip and handle
+   * `neighbors`, so only they are placed on the overlay. Every other peer
+   * stays connected to everyone and has no entry in the map; the overlay
+   * peers keep a link to each of them on top of their overlay neighbors.
+   */
+  computeTopology() {
+    if (this.peers.size <= this.mesh.fullMaxPeers) return null;
+
+    const ordered = Array.from(this.peers.values()).sort((a, b) => a.admittedSeq - b.admittedSeq);
+    const meshed = ordered.filter((peer) => peer.capabilities.includes('partial-mesh'));
+    if (meshed.length === 0) return null;
+    const fullMeshIds = ordered.filter((peer) => !meshed.includes(peer)).map((peer) => peer.id);
+
+    const topology = buildTopology(meshed.map((peer) => peer.id), this.mesh.degree);
+    for (const neighbors of topology.values()) {
+      neighbors.push(...fullMeshIds);
+    }
+    return topology;
+  }
+
+  /**
+   * Peers this peer should hold WebRTC connections to.
+   */
+  neighborsOf(peer, topology = this.computeTopology()) {
+    const neighbors = topology?.get(peer.id);
+    if (!neighbors) {
+      return Array.from(this.peers.values()).filter((other) => other !== peer);
+    }
+    return neighbors.map((peerId) => this.peers.get(peerId));
+  }
+
+  /**
+   * Tell every overlay peer whose neighbor set changed what it should be
+   * connected to now. Runs after each join and leave, so the overlay stays
+   * connected as peers come and go. Small rooms, and peers that stay in the
+   * full mesh, get nothing.
+   */
+  rebalanceTopology(topology = this.computeTopology()) {
+    for (const peer of this.peers.values()) {
+      const next = topology?.get(peer.id) ?? null;
+      if (sameNeighbors(peer.neighbors, next)) continue;
+
+      peer.neighbors = next;
+      this.persistPeer(peer);
+
+      const neighbors = this.neighborsOf(peer, topology);
+      this.sendTo(peer, {
+        type: 'neighbors',
+        topology: next ? 'partial' : 'full',
+        peers: neighbors.map((neighbor) => neighbor.id),
+        roles: Object.fromEntries(neighbors.map((neighbor) => [neighbor.id, this.roleToward(peer, neighbor)]))
+      });
+    }
+  }
+
+  /**
+   * Glare resolution: in each pair, the peer admitted later makes the offer.
+   */
+  roleToward(peer, other) {
+    return peer.admittedSeq > other.admittedSeq ? 'offerer' : 'answerer';
+  }
+
+  /**
+   * Fallback data path for peers that cannot establish WebRTC at all.
+   * Forwards a client-encrypted P2P envelope to one peer, or to every
+   * admitted peer when no target is given. Only peers that negotiated the
+   * `relay` capability take part. The payload is opaque to the server: it
+   * is never parsed, logged, persisted, or queued for suspended peers.
+   */
+  handleRelay(peer, message) {
+    if (!this.requireAdmitted(peer, message)) return;
+
+    if (!peer.capabilities.includes('relay')) {
+      this.sendError(peer, ERROR_CODES.CAPABILITY_REQUIRED, 'Negotiate the relay capability in hello first', message);
+      return;
+    }
+
+    let recipients;
+    if (message.targetPeerId) {
+      const targetPeer = this.peers.get(message.targetPeerId);
+      if (!targetPeer) {
+        this.sendError(peer, ERROR_CODES.PEER_NOT_FOUND, `Peer ${message.targetPeerId} not found`, message, {
+          targetPeerId: message.targetPeerId
+        });
+        return;
+      }
+      if (!targetPeer.capabilities.includes('relay')) {
+        this.sendError(peer, ERROR_CODES.CAPABILITY_REQUIRED, `Peer ${message.targetPeerId} has not enabled relay`, message, {
+          targetPeerId: message.targetPeerId
+        });
+        return;
+      }
+      recipients = [targetPeer];
+    } else {
+      recipients = Array.from(this.peers.values())
+        .filter((other) => other !== peer && other.capabilities.includes('relay'));
+    }
+
+    recipients = recipients.filter((recipient) => !recipient.suspended);
+    if (recipients.length === 0) return;
+
+    // Charge the room for the bytes actually fanned out
+    const cost = message.payload.length * recipients.length;
+    if (!this.relayBandwidth.take(cost)) {
+      this.safeSend(peer, {
+        type: 'rate-limited',
+        code: ERROR_CODES.RATE_LIMITED,
+        budget: 'relay-bandwidth',
+        scope: 'room',
+        retryAfterMs: this.relayBandwidth.retryAfterMs(cost),
+        ...(refOf(message) !== undefined && { ref: refOf(message) })
+      });
+      return;
+    }
+
+    for (const recipient of recipients) {
+      this.safeSend(recipient, {
+        type: 'relay',
+        fromPeerId: peer.id,
+        payload: message.payload
+      });
+    }
+  }
+
+  /**
+   * Re-attach a dropped peer to a new socket within the resume window.
+   * The peer keeps its ID, the rest of the room sees no leave/join churn,
+   * and anything relayed to it while it was away is delivered now.
+   */
+  async handleResume(peer, message) {
+    // A resume reveals whether a room is live as much as a join does
+    if (this.pow.difficulty > 0 && !peer.powPassed && !(await this.checkProofOfWork(peer, message))) {
+      return;
+    }
+
+    if (this.config.endedAt !== null) {
+      this.refuseEnded(peer, message);
+      return;
+    }
+
+    const tokenHash = await hashToken(message.resumeToken);
+    const { publicJwk } = await this.getSigningKey();
+    if (this.bans.resumeTokenHashes.has(tokenHash)) {
+      this.refuseBanned(peer, message);
+      return;
+    }
+
+    const peerId = this.resumeTokens.get(tokenHash);
+    const previous = peerId ? this.peers.get(peerId) : null;
+
+    if (peer.id || !previous) {
+      this.recordFailedJoin(peer);
+      this.sendError(peer, ERROR_CODES.RESUME_FAILED, 'Resume failed', message);
+      return;
+    }
+
+    // The old socket may still look open if the drop was half-open
+    if (!previous.suspended) {
+      previous.id = null;
+      this.persistPeer(previous);
+      closeSocket(previous.ws, CLOSE_SUPERSEDED, 'Resumed on another connection');
+    }
+
+    this.resumeTokens.delete(previous.resumeTokenHash);
+    await this.state.storage.delete(suspendedKey(peerId));
+
+    peer.id = peerId;
+    peer.role = previous.role;
+    if (peer.version === LEGACY_VERSION && previous.version !== LEGACY_VERSION) {
+      // The resuming client skipped hello; keep what it negotiated before
+      peer.version = previous.version;
+      peer.capabilities = previous.capabilities;
+    }
+    peer.joinedAt = previous.joinedAt;
+    peer.admittedSeq = previous.admittedSeq;
+    peer.neighbors = previous.neighbors;
+    peer.signalSeq = previous.signalSeq;
+    peer.iceBatches = previous.iceBatches;
+    const resumeToken = await this.issueResumeToken(peer);
+    const turnTicket = await this.issueTurnTicket(peer);
+    this.peers.set(peerId, peer);
+    this.persistPeer(peer);
+
+    const others = this.neighborsOf(peer);
+    this.safeSend(peer, {
+      type: 'resumed',
+      peerId,
+      adminId: this.config.creatorId,
+      broadcastKey: publicJwk,
+      peers: others.map((other) => other.id),
+      topology: peer.neighbors ? 'partial' : 'full',
+      roles: Object.fromEntries(others.map((other) => [other.id, this.roleToward(peer, other)])),
+      resumeToken,
+      resumeWindowMs: this.resumeWindowMs,
+      heartbeatIntervalMs: this.heartbeatIntervalMs,
+      lastSeq: peer.signalSeq,
+      ...turnTicket
+    });
+
+    for (const { message: queued, receipts } of previous.outbox) {
+      if (this.safeSend(peer, queued)) {
+        receipts.forEach((receipt) => this.sendAck(receipt, 'delivered'));
+      }
+    }
+
+    console.log(`Peer ${peerId} resumed (${previous.outbox.length} queued messages)`);
+
+    await this.ensureAdmin();
+
+    await this.scheduleAlarm();
+  }
+
+  /**
+   * Socket closed or errored. Hold the peer's slot for the resume window
+   * instead of announcing `peer-left` straight away.
+   */
+  async handleDisconnect(peer) {
+    if (!peer.id || peer.suspended) return;
+
+    // Waitlisted and waiting peers hold no slot worth resuming
+    if (peer.waitlistedAt) {
+      this.leaveWaitlist(peer);
+      return;
+    }
+
+    if (peer.awaitingApproval) {
+      this.withdrawJoinRequest(peer);
+      return;
+    }
+
+    if (this.resumeWindowMs <= 0) {
+      await this.removePeer(peer);
+      return;
+    }
+
+    peer.suspended = true;
+    peer.resumeDeadline = Date.now() + this.resumeWindowMs;
+    this.persistPeer(peer);
+    await this.saveSuspendedPeer(peer);
+
+    console.log(`Peer ${peer.id} disconnected, holding for ${this.resumeWindowMs}ms`);
+
+    await this.scheduleAlarm();
+  }
+
+  /**
+   * Storage record that stands in for a suspended peer's socket attachment.
+   */
+  async saveSuspendedPeer(peer) {
+    await this.state.storage.put(suspendedKey(peer.id), {
+      ip: peer.ip, // so a kick during the resume window still bans the address
+      role: peer.role,
+      joinedAt: peer.joinedAt,
+      admittedSeq: peer.admittedSeq,
+      neighbors: peer.neighbors,
+      signalSeq: peer.signalSeq,
+      resumeTokenHash: peer.resumeTokenHash,
+      resumeDeadline: peer.resumeDeadline
+    });
+  }
+
+  /**
+   * A waiting peer left before the creator decided.
+   */
+  withdrawJoinRequest(peer) {
+    const peerId = peer.id;
+    this.waiting.delete(peerId);
+    peer.id = null;
+    peer.awaitingApproval = false;
+    this.persistPeer(peer);
+
+    const creator = this.peers.get(this.config.creatorId);
+    if (creator) {
+      this.sendTo(creator, { type: 'join-request-cancelled', peerId });
+    }
+
+    console.log(`Peer ${peerId} withdrew join request`);
+  }
+
+  async removePeer(peer, reason = null) {
+    if (!peer.id) return;
+
+    if (peer.awaitingApproval) {
+      this.withdrawJoinRequest(peer);
+      return;
+    }
+
+    if (peer.waitlistedAt) {
+      this.leaveWaitlist(peer);
+      return;
+    }
+
+    const peerId = peer.id;
+    this.resumeTokens.delete(peer.resumeTokenHash);
+
+    // Remove peer from room
+    this.peers.delete(peerId);
+    peer.id = null;
+    peer.resumeTokenHash = null;
+    this.persistPeer(peer);
+
+    if (peer.suspended) {
+      await this.state.storage.delete(suspendedKey(peerId));
+    }
+
+    // Notify remaining peers
+    for (const [, remainingPeer] of this.peers) {
+      remainingPeer.iceBatches.delete(peerId);
+      this.sendTo(remainingPeer, {
+        type: 'peer-left',
+        peerId,
+        ...(reason && { reason })
+      });
+    }
+
+    await this.promoteFromWaitlist();
+    this.rebalanceTopology();
+    await this.ensureAdmin();
+    if (this.peers.size === 0) {
+      this.dismissQueued();
+    }
+
+    console.log(`Peer ${peerId} left. Room size: ${this.peers.size}`);
+
+    // Without a TTL the room lives as long as someone is in it. With one,
+    // it survives a short gap, then the alarm wipes it.
+    if (this.peers.size === 0 && this.config.expiresAt === null) {
+      await this.resetRoom();
+    } else if (this.peers.size === 0 && this.config.endedAt === null) {
+      this.config.emptiedAt = Date.now();
+      await this.state.storage.put('config', this.config);
+    }
+
+    await this.scheduleAlarm();
+  }
+
+  /**
+   * Turn away everyone still waiting for approval or a free slot. Runs when
+   * the last admitted peer leaves and when the room is wiped: nobody is
+   * left to approve them, and a later creator would never hear of them.
+   */
+  dismissQueued() {
+    const queued = [...this.waiting.values(), ...this.waitlist];
+    this.waiting.clear();
+    this.waitlist = [];
+    for (const peer of queued) {
+      this.dismiss(peer);
+    }
+  }
+
+  /**
+   * Send a joiner away because the room has emptied. It may join again,
+   * and becomes the creator if the room has been reset by then.
+   */
+  dismiss(peer) {
+    this.safeSend(peer, { type: 'rejected', reason: 'room-empty' });
+    peer.id = null;
+    peer.awaitingApproval = false;
+    peer.waitlistedAt = null;
+    this.persistPeer(peer);
+    closeSocket(peer.ws, CLOSE_REJECTED, 'Room is empty');
+
+    console.log('Dismissed a queued joiner from an empty room');
+  }
+
+  /**
+   * The last peer is gone: forget the creator, approval setting and bans so
+   * the code starts fresh if it is used again.
+   */
+  async resetRoom() {
+    this.config = emptyRoomConfig();
+    this.bans = emptyBans();
+    this.signingKey = null;
+    const invites = await this.state.storage.list({ prefix: INVITE_PREFIX });
+    await this.deleteKeys(['config', 'bans', 'signingKey', ...invites.keys()]);
+  }
+
+  /**
+   * Delete any number of storage keys, in batches the storage API accepts.
+   */
+  async deleteKeys(keys) {
+    for (let start = 0; start < keys.length; start += STORAGE_DELETE_BATCH) {
+      await this.state.storage.delete(keys.slice(start, start + STORAGE_DELETE_BATCH));
+    }
+  }
+
+  /**
+   * Charge a message against the socket's and the client IP's budget.
+   * Over-limit messages are dropped with a `rate-limited` notice; a socket
+   * that keeps exceeding its limits is removed and closed.
+   *
+   * @returns {Promise<boolean>} true if the message may be processed
+   */
+  async checkRateLimit(peer, type) {
+    const budget = budgetFor(type);
+    const connectionBucket = peer.buckets[budget];
+    const ipBucket = this.getIpBuckets(peer.ip)[budget];
+
+    let exhausted = null;
+    let scope = null;
+    if (!connectionBucket.take()) {
+      exhausted = connectionBucket;
+      scope = 'connection';
+    } else if (!ipBucket.take()) {
+      exhausted = ipBucket;
+      scope = 'ip';
+    } else {
+      return true;
+    }
+
+    // Only violations within the current window count towards closing
+    const now = Date.now();
+    if (now - peer.rateLimitViolations.windowStart >= this.rateLimits.violationWindowMs) {
+      peer.rateLimitViolations = { count: 0, windowStart: now };
+    }
+    peer.rateLimitViolations.count++;
+    this.safeSend(peer, {
+      type: 'rate-limited',
+      code: ERROR_CODES.RATE_LIMITED,
+      budget,
+      scope,
+      retryAfterMs: exhausted.retryAfterMs()
+    });
+
+    if (peer.rateLimitViolations.count >= this.rateLimits.maxViolations) {
+      console.log(`Peer ${peer.id ?? '(unjoined)'} kept exceeding rate limits, closing`);
+      const ws = peer.ws;
+      peer.closed = true;
+      await this.removePeer(peer);
+      closeSocket(ws, CLOSE_RATE_LIMITED, 'Rate limit exceeded');
+    }
+
+    return false;
+  }
+
+  getIpBuckets(ip) {
+    let buckets = this.ipBuckets.get(ip);
+    if (!buckets) {
+      buckets = createIpBuckets(this.rateLimits);
+      this.ipBuckets.set(ip, buckets);
+    }
+    return buckets;
+  }
+
+  /**
+   * /turn-credentials bucket for a client IP. HTTP callers have no socket
+   * for forgetSocket to clean up after, so every lookup first drops the
+   * buckets of other IPs that have refilled to capacity.
+   */
+  getTurnBucket(ip) {
+    const now = Date.now();
+    for (const [otherIp, bucket] of this.turnIpBuckets) {
+      if (otherIp !== ip && bucket.isFull(now)) {
+        this.turnIpBuckets.delete(otherIp);
+      }
+    }
+
+    let bucket = this.turnIpBuckets.get(ip);
+    if (!bucket) {
+      bucket = new TokenBucket(this.rateLimits.ipTurn);
+      this.turnIpBuckets.set(ip, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Drop a closed socket, and its IP's buckets once no socket uses them.
+   */
+  forgetSocket(ws) {
+    const peer = this.sockets.get(ws);
+    this.sockets.delete(ws);
+
+    if (peer && !Array.from(this.sockets.values()).some((other) => other.ip === peer.ip)) {
+      this.ipBuckets.delete(peer.ip);
+    }
+  }
+
+  /**
+   * Any frame from a peer proves the connection is alive. Only `lastSeen`
+   * changes on ordinary traffic, and it is kept in memory; the attachment is
+   * rewritten only when this answers an outstanding server ping.
+   */
+  markAlive(peer) {
+    peer.lastSeen = Date.now();
+    if (peer.pingedAt !== null) {
+      peer.pingedAt = null;
+      this.persistPeer(peer);
+    }
+  }
+
+  /**
+   * When the peer was last heard from: its last frame, or its last
+   * auto-answered heartbeat, whichever is later.
+   */
+  lastHeard(peer) {
+    const heartbeat = this.state.getWebSocketAutoResponseTimestamp(peer.ws);
+    return Math.max(peer.lastSeen, heartbeat?.getTime() ?? 0);
+  }
+
+  /**
+   * Evict peers that have gone silent. Half-open sockets never fire
+   * `close`, so without this they would linger in `this.peers` and be handed
+   * to new joiners.
+   *
+   * A peer counts as silent after HEARTBEAT_TIMEOUT_MS without a frame or a
+   * heartbeat. One that has sent heartbeats before is evicted straight away.
+   * One that never has (an older client that only answers pings) is pinged
+   * first, and evicted if it has not answered a heartbeat interval later.
+   * The alarm runs this with `probe`; a join runs it without, so the new
+   * peer is not handed dead sockets.
+   */
+  async checkHeartbeats({ probe = true } = {}) {
+    const now = Date.now();
+    for (const peer of Array.from(this.peers.values())) {
+      if (peer.suspended || now - this.lastHeard(peer) < this.heartbeatTimeoutMs) continue;
+
+      const pinging = this.state.getWebSocketAutoResponseTimestamp(peer.ws) !== null;
+      const unanswered = peer.pingedAt !== null && now - peer.pingedAt >= this.heartbeatIntervalMs;
+      if (pinging || unanswered) {
+        await this.evictStalePeer(peer);
+      } else if (probe && peer.pingedAt === null) {
+        peer.pingedAt = now;
+        this.persistPeer(peer);
+        this.safeSend(peer, { type: 'ping', ts: now });
+      }
+    }
+  }
+
+  async evictStalePeer(peer) {
+    console.log(`Peer ${peer.id} silent for ${Date.now() - this.lastHeard(peer)}ms, evicting`);
+    closeSocket(peer.ws, CLOSE_HEARTBEAT_TIMEOUT, 'Heartbeat timeout');
+    await this.handleDisconnect(peer);
+  }
+
+  /**
+   * Point the single Durable Object alarm at the earliest pending deadline:
+   * the next liveness check (while anyone is connected), a resume window expiry,
+   * the room's TTL or the wipe of an ended room's tombstone.
+   */
+  async scheduleAlarm() {
+    const deadlines = [];
+
+    if (this.config.endedAt !== null) {
+      deadlines.push(this.config.endedAt + this.endedRoomRetentionMs);
+    } else if (this.config.expiresAt !== null) {
+      deadlines.push(this.config.expiresAt);
+    }
+    if (this.config.emptiedAt !== null) {
+      deadlines.push(this.config.emptiedAt + this.emptyRoomRetentionMs);
+    }
+
+    const hasConnectedPeers = Array.from(this.peers.values()).some((peer) => !peer.suspended);
+    if (hasConnectedPeers && this.heartbeatCheckIntervalMs > 0) {
+      if (this.heartbeatDueAt === null) {
+        this.heartbeatDueAt = Date.now() + this.heartbeatCheckIntervalMs;
+        await this.state.storage.put('heartbeatDueAt', this.heartbeatDueAt);
+      }
+      deadlines.push(this.heartbeatDueAt);
+    } else if (this.heartbeatDueAt !== null) {
+      this.heartbeatDueAt = null;
+      await this.state.storage.delete('heartbeatDueAt');
+    }
+
+    for (const peer of this.peers.values()) {
+      if (peer.suspended) {
+        deadlines.push(peer.resumeDeadline);
+      }
+      for (const batch of peer.iceBatches.values()) {
+        deadlines.push(batch.flushAt);
+      }
+    }
+
+    if (deadlines.length === 0) {
+      await this.state.storage.deleteAlarm();
+      return;
+    }
+
+    await this.state.storage.setAlarm(Math.min(...deadlines));
+  }
+
+  createPeer(ws, attachment = {}) {
+    return {
+      id: attachment.id ?? null,
+      ws,
+      ip: attachment.ip ?? 'unknown',
+      version: attachment.version ?? null, // null until hello or the first message
+      capabilities: attachment.capabilities ?? [],
+      role: attachment.role ?? 'member',
+      awaitingApproval: attachment.awaitingApproval ?? false,
+      displayName: attachment.displayName ?? null,
+      joinedAt: attachment.joinedAt ?? null,
+      admittedSeq: attachment.admittedSeq ?? null, // admission order, for glare roles
+      neighbors: attachment.neighbors ?? null, // partial-mesh neighbor IDs, null in a full mesh
+      turnTicket: attachment.turnTicket ?? null, // { hash, expiresAt, issued } for /turn-credentials
+      signalSeq: attachment.signalSeq ?? 0, // last seq numbered on signaling relayed to this peer
+      resumeTokenHash: attachment.resumeTokenHash ?? null,
+      lastSeen: attachment.lastSeen ?? Date.now(),
+      pingedAt: attachment.pingedAt ?? null, // when an unanswered server ping went out
+      waitlistedAt: attachment.waitlistedAt ?? null, // set while queued for a free slot
+      challenge: attachment.challenge ?? null, // admission nonce awaiting a proof
+      powChallenge: attachment.powChallenge ?? null, // { nonce, difficulty } awaiting a solution
+      powPassed: attachment.powPassed ?? false,
+      buckets: createConnectionBuckets(this.rateLimits), // rate limits (memory only)
+      rateLimitViolations: { count: 0, windowStart: Date.now() }, // dropped messages this window
+      closed: false, // closed by the room for abuse; later frames are ignored (memory only)
+      suspended: false, // socket dropped, waiting out the resume window
+      resumeDeadline: null,
+      iceBatches: new Map(), // fromPeerId -> candidates held for coalescing (memory only)
+      outbox: [] // { message, receipts } queued while offline (memory only)
+    };
+  }
+
+  getPeer(ws) {
+    return this.sockets.get(ws) ?? this.restorePeer(ws);
+  }
+
+  /**
+   * Recreate a peer from its socket attachment after hibernation.
+   */
+  restorePeer(ws) {
+    const peer = this.createPeer(ws, ws.deserializeAttachment() ?? {});
+    this.sockets.set(ws, peer);
+
+    if (peer.id && peer.awaitingApproval) {
+      this.waiting.set(peer.id, peer);
+    } else if (peer.id && peer.waitlistedAt) {
+      this.waitlist.push(peer);
+      this.waitlist.sort((a, b) => a.waitlistedAt - b.waitlistedAt);
+    } else if (peer.id) {
+      this.peers.set(peer.id, peer);
+      this.resumeTokens.set(peer.resumeTokenHash, peer.id);
+    }
+
+    return peer;
+  }
+
+  /**
+   * Suspended peers have no socket to carry an attachment, so they are
+   * restored from storage. Queued messages are not persisted.
+   */
+  async restoreStoredState() {
+    this.config = { ...emptyRoomConfig(), ...(await this.state.storage.get('config')) };
+
+    const bans = await this.state.storage.get('bans');
+    if (bans) {
+      this.bans = {
+        resumeTokenHashes: new Set(bans.resumeTokenHashes),
+        ipHashes: new Set(bans.ipHashes ?? [])
+      };
+    }
+    this.heartbeatDueAt = (await this.state.storage.get('heartbeatDueAt')) ?? null;
+
+    const suspended = await this.state.storage.list({ prefix: SUSPENDED_PREFIX });
+    for (const [key, record] of suspended) {
+      const peerId = key.slice(SUSPENDED_PREFIX.length);
+      if (this.peers.has(peerId)) continue;
+
+      const peer = this.createPeer(null, { id: peerId, ...record });
+      peer.suspended = true;
+      peer.resumeDeadline = record.resumeDeadline;
+      this.peers.set(peerId, peer);
+      this.resumeTokens.set(peer.resumeTokenHash, peerId);
+    }
+  }
+
+  /**
+   * Write the peer's durable fields to its socket so they survive hibernation.
+   * A suspended peer's socket is dead, so its attachment is cleared and the
+   * storage record takes over.
+   */
+  persistPeer(peer) {
+    if (!peer.ws) return;
+
+    const attachment = peer.suspended ? {} : {
+      id: peer.id,
+      ip: peer.ip,
+      version: peer.version,
+      capabilities: peer.capabilities,
+      role: peer.role,
+      awaitingApproval: peer.awaitingApproval,
+      displayName: peer.displayName,
+      joinedAt: peer.joinedAt,
+      admittedSeq: peer.admittedSeq,
+      neighbors: peer.neighbors,
+      signalSeq: peer.signalSeq,
+      turnTicket: peer.turnTicket,
+      resumeTokenHash: peer.resumeTokenHash,
+      lastSeen: peer.lastSeen,
+      pingedAt: peer.pingedAt,
+      waitlistedAt: peer.waitlistedAt,
+      challenge: peer.challenge,
+      powChallenge: peer.powChallenge,
+      powPassed: peer.powPassed
+    };
+
+    try {
+      peer.ws.serializeAttachment(attachment);
+    } catch (error) {
+      // Socket already closed - nothing to persist
+    }
+  }
+
+  /**
+   * Admission order for glare resolution. Only needs to order the peers in
+   * the room now, so it is derived from them instead of stored.
+   */
+  nextAdmittedSeq() {
+    let highest = 0;
+    for (const peer of this.peers.values()) {
+      highest = Math.max(highest, peer.admittedSeq ?? 0);
+    }
+    return highest + 1;
+  }
+
+  /**
+   * Random peer ID that is not in use in this room.
+   */
+  mintPeerId() {
+    let peerId;
+    do {
+      peerId = randomToken(16);
+    } while (
+      this.peers.has(peerId) ||
+      this.waiting.has(peerId) ||
+      this.waitlist.some((waitlisted) => waitlisted.id === peerId)
+    );
+    return peerId;
+  }
+
+  /**
+   * New resume token for a peer. Only its hash is kept, so neither socket
+   * attachments nor storage hold a usable token.
+   *
+   * @returns {Promise<string>} the token, to send to the client once
+   */
+  async issueResumeToken(peer) {
+    const token = randomToken();
+    peer.resumeTokenHash = await hashToken(token);
+    this.resumeTokens.set(peer.resumeTokenHash, peer.id);
+    return token;
+  }
+
+  /**
+   * New `/turn-credentials` ticket for a peer, replacing its old one. Only the
+   * hash is kept on the peer, so the ticket stops working when the peer
+   * leaves or the room ends.
+   *
+   * @returns {Promise<{ turnTicket: string, turnTicketExpiresAt: number }>}
+   */
+  async issueTurnTicket(peer) {
+    const ticket = randomToken();
+    const expiresAt = Date.now() + this.turn.ticketTtlMs;
+    peer.turnTicket = { hash: await hashToken(ticket), expiresAt, issued: 0 };
+    return { turnTicket: ticket, turnTicketExpiresAt: expiresAt };
+  }
+
+  /**
+   * Deliver a message to a peer, or queue it while the peer is suspended or
+   * its socket refuses the send (it is about to close). The queue is bounded;
+   * the oldest entries are dropped first, and their senders are told if
+   * they asked for a receipt.
+   *
+   * @returns {'delivered'|'queued'}
+   */
+  sendTo(peer, message, receipts = []) {
+    if (!peer.suspended && this.safeSend(peer, message)) {
+      return 'delivered';
+    }
+
+    peer.outbox.push({ message, receipts });
+    if (peer.outbox.length > this.resumeQueueLimit) {
+      const dropped = peer.outbox.shift();
+      dropped.receipts.forEach((receipt) => this.sendAck(receipt, 'dropped'));
+    }
+    return 'queued';
+  }
+
+  /**
+   * Send a typed error. `request` is the client message being answered; its
+   * `ref`, if any, is echoed so the client can match the failure.
+   */
+  sendError(peer, code, text, request = null, details = {}) {
+    this.safeSend(peer, {
+      type: 'error',
+      code,
+      message: text,
+      ...details,
+      ...(refOf(request) !== undefined && { ref: refOf(request) })
+    });
+  }
+
+  /**
+   * @returns {boolean} whether the socket accepted the message
+   */
+  safeSend(peer, message) {
+    try {
+      peer.ws.send(JSON.stringify(message));
+      return true;
+    } catch (error) {
+      console.error(`Send to ${peer.id} failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Snapshot of per-peer liveness, used by tests and the local server.
+   */
+  getLiveness() {
+    return Array.from(this.peers.values()).map((peer) => ({
+      peerId: peer.id,
+      lastHeard: peer.suspended ? null : this.lastHeard(peer),
+      pingedAt: peer.pingedAt,
+      suspended: peer.suspended
+    }));
+  }
+}
+
+/**
+ * JoinGuard Durable Object
+ *
+ * A single instance (JOIN_GUARD_NAME) counts failed joins across every room,
+ * so a scanner that probes a different room ID on each attempt still raises
+ * the proof-of-work difficulty everywhere. Rooms report failures with
+ * `POST /failure` and read the difficulty with `GET /difficulty`.
+ *
+ * The count is kept in memory. The guard stays loaded while failures keep
+ * arriving, and once they stop, starting over at the base difficulty is
+ * what the window would do anyway.
+ */
+export class JoinGuard {
+  constructor(state, env) {
+    this.state = state;
+    this.pow = readPowConfig(env);
+    this.failures = { count: 0, windowStart: Date.now() };
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method === 'POST' && url.pathname === '/failure') {
+      this.rollWindow();
+      this.failures.count++;
+    }
+    return jsonResponse({ difficulty: this.currentDifficulty() });
+  }
+
+  /**
+   * Base difficulty plus one bit per POW_FAILURE_THRESHOLD failed joins in
+   * the current window.
+   */
+  currentDifficulty() {
+    this.rollWindow();
+    const extra = Math.floor(this.failures.count / this.pow.failureThreshold);
+    return Math.max(this.pow.difficulty, Math.min(this.pow.difficulty + extra, this.pow.maxDifficulty));
+  }
+
+  rollWindow() {
+    const now = Date.now();
+    if (now - this.failures.windowStart >= this.pow.windowMs) {
+      this.failures = { count: 0, windowStart: now };
+    }
+  }
+}
+
+function emptyRoomConfig() {
+  return {
+    creatorId: null,
+    approvalMode: false,
+    expiresAt: null,
+    endedAt: null,
+    verifier: null,
+    maxPeers: null,
+    waitlist: false,
+    locked: false,
+    emptiedAt: null
+  };
+}
+
+/**
+ * Decode a client frame. Never log frame contents: they carry SDP and
+ * candidate addresses.
+ *
+ * @returns {{ message?: *, error?: { code: string, message: string } }}
+ */
+function parseFrame(data, maxFrameBytes) {
+  if (typeof data !== 'string') {
+    return { error: { code: ERROR_CODES.INVALID_MESSAGE, message: 'Binary frames are not supported' } };
+  }
+
+  // String length is a lower bound on UTF-8 size, and cheap enough to reject floods early
+  if (data.length > maxFrameBytes || new TextEncoder().encode(data).length > maxFrameBytes) {
+    return { error: { code: ERROR_CODES.FRAME_TOO_LARGE, message: `Frames are limited to ${maxFrameBytes} bytes` } };
+  }
+
+  try {
+    return { message: JSON.parse(data) };
+  } catch (error) {
+    return { error: { code: ERROR_CODES.INVALID_JSON, message: 'Frame is not valid JSON' } };
+  }
+}
+
+function emptyBans() {
+  return {
+    resumeTokenHashes: new Set(),
+    ipHashes: new Set()
+  };
+}
+
+function suspendedKey(peerId) {
+  return `${SUSPENDED_PREFIX}${peerId}`;
+}
+
+function inviteKey(token) {
+  return `${INVITE_PREFIX}${token}`;
+}
+
+/**
+ * Read an integer var from the environment, falling back when unset or invalid.
+ */
+function readIntVar(env, name, fallback) {
+  const value = Number.parseInt(env?.[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Proof-of-work settings from the POW_* vars, shared by rooms and the JoinGuard.
+ */
+function readPowConfig(env) {
+  return {
+    difficulty: readIntVar(env, 'POW_DIFFICULTY', DEFAULT_POW_DIFFICULTY),
+    maxDifficulty: readIntVar(env, 'POW_MAX_DIFFICULTY', DEFAULT_POW_MAX_DIFFICULTY),
+    failureThreshold: Math.max(1, readIntVar(env, 'POW_FAILURE_THRESHOLD', DEFAULT_POW_FAILURE_THRESHOLD)),
+    windowMs: readIntVar(env, 'POW_WINDOW_MS', DEFAULT_POW_WINDOW_MS)
+  };
+}
+
+/**
+ * Random URL-safe token, used for opaque credentials handed to clients.
+ */
+function randomToken(byteLength = 24) {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * SHA-256 of a client credential, which is what the room stores in place of
+ * the credential itself.
+ */
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return toBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * ICE servers for the client, from the provider TURN_PROVIDER selects (see turn.js)
+ */
+async function generateTurnCredentials(env, ttl) {
+  try {
+    return jsonResponse(await getIceServers(env, ttl));
+  } catch (error) {
+    console.error('TURN credentials error:', error);
+    return jsonResponse({ error: 'Failed to generate TURN credentials' }, 500);
+  }
+}
+
+/**
+ * Close a socket that may already be closed; the runtime throws in that case
+ * and there is nothing left to do.
+ */
+function closeSocket(ws, code, reason) {
+  try {
+    ws.close(code, reason);
+  } catch (error) {
+    // Socket is already gone - nothing left to close
+  }
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      ...headers,
+    },
+  });
 }
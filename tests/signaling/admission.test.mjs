@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { deriveRoomVerifier, proveRoomKnowledge } from '../../signaling/admission.js';
+import { TestClient, deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+const CLOSE_REJECTED = 4002;
+
+let server;
+before(async () => {
+  server = await startServer({ REQUIRE_DERIVED_ROOM_ID: 'true' });
+});
+after(() => server.close());
+
+test('a room path that is not a derived room ID is refused when required', async () => {
+  await assert.rejects(TestClient.connect(server.port, 'shadow-ad0001'), /400/);
+  const response = await fetch(`http://127.0.0.1:${server.port}/turn-credentials?room=shadow-ad0001`);
+  assert.equal(response.status, 400);
+});
+
+test('plain room codes still work by default, for older app builds', async () => {
+  const lenient = await startServer();
+  try {
+    const legacy = await joinRoom(lenient.port, 'shadow-ad0004', { isCreator: true, roomCode: 'shadow-ad0004' });
+    assert.deepEqual(legacy.joined.peers, []);
+    legacy.close();
+  } finally {
+    await lenient.close();
+  }
+});
+
+test('joiners prove they know the room code', async () => {
+  const code = 'shadow-ad0002';
+  const roomId = await deriveRoomId(code);
+  const verifier = await deriveRoomVerifier(code, roomId);
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, verifier });
+
+  const member = await TestClient.connect(server.port, roomId);
+  member.send({ type: 'join' });
+  const { nonce } = await member.next('challenge');
+  member.send({ type: 'join', proof: await proveRoomKnowledge(verifier, nonce) });
+  assert.deepEqual((await member.next('peers')).peers, [creator.joined.peerId]);
+
+  const guesser = await TestClient.connect(server.port, roomId);
+  guesser.send({ type: 'join' });
+  const challenge = await guesser.next('challenge');
+  const wrongVerifier = await deriveRoomVerifier('shadow-ad9999', roomId);
+  guesser.send({ type: 'join', proof: await proveRoomKnowledge(wrongVerifier, challenge.nonce) });
+  assert.equal((await guesser.next('error')).code, 'ADMISSION_FAILED');
+  assert.equal((await guesser.closed).code, CLOSE_REJECTED);
+
+  member.close();
+  creator.close();
+});
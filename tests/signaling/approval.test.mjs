@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const CLOSE_REJECTED = 4002;
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '0' });
+});
+after(() => server.close());
+
+test('in approval mode the creator approves or rejects each joiner', async () => {
+  const roomId = await deriveRoomId('shadow-mo0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, approvalMode: true });
+
+  const approved = await TestClient.connect(server.port, roomId);
+  approved.send({ type: 'join', displayName: 'Ada' });
+  const waiting = await approved.next('waiting');
+  const request = await creator.next('join-request');
+  assert.equal(request.peerId, waiting.peerId);
+  assert.equal(request.displayName, 'Ada');
+
+  creator.send({ type: 'approve', peerId: request.peerId });
+  const admitted = await approved.next('peers');
+  assert.equal(admitted.peerId, waiting.peerId);
+  assert.deepEqual(admitted.peers, [creator.joined.peerId]);
+
+  const rejected = await TestClient.connect(server.port, roomId);
+  rejected.send({ type: 'join' });
+  await rejected.next('waiting');
+  creator.send({ type: 'reject', peerId: (await creator.next('join-request')).peerId });
+  await rejected.next('rejected');
+  assert.equal((await rejected.closed).code, CLOSE_REJECTED);
+
+  approved.close();
+  creator.close();
+});
+
+test('waiting joiners are turned away when the room empties', async () => {
+  const roomId = await deriveRoomId('shadow-mo0004');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, approvalMode: true });
+  const waiting = await TestClient.connect(server.port, roomId);
+  waiting.send({ type: 'join' });
+  await waiting.next('waiting');
+  await creator.next('join-request');
+
+  creator.send({ type: 'leave' });
+  assert.equal((await waiting.next('rejected')).reason, 'room-empty');
+  assert.equal((await waiting.closed).code, CLOSE_REJECTED);
+  await sleep(20);
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { verifyBroadcast } from '../../signaling/broadcast.js';
+import { deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('admin broadcasts reach every other peer and verify against the room key', async () => {
+  const roomId = await deriveRoomId('shadow-bc0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+  assert.deepEqual(member.joined.broadcastKey, creator.joined.broadcastKey);
+
+  creator.send({ type: 'broadcast', event: 'participant-kicked', data: { peerId: 'someone' } });
+  const received = await member.next('broadcast');
+  const body = await verifyBroadcast(member.joined.broadcastKey, received);
+  assert.equal(body.event, 'participant-kicked');
+  assert.deepEqual(body.data, { peerId: 'someone' });
+  assert.equal(body.fromPeerId, creator.joined.peerId);
+  assert.equal(creator.received('broadcast'), false);
+
+  const tampered = { ...received, body: received.body.replace('someone', 'somebody') };
+  assert.equal(await verifyBroadcast(member.joined.broadcastKey, tampered), null);
+
+  member.close();
+  creator.close();
+});
+
+test('only the admin broadcasts, and only known events', async () => {
+  const roomId = await deriveRoomId('shadow-bc0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+
+  member.send({ type: 'broadcast', event: 'room-ended' });
+  assert.equal((await member.next('error')).code, 'NOT_CREATOR');
+
+  creator.send({ type: 'broadcast', event: 'free-pizza' });
+  const invalid = await creator.next('error');
+  assert.deepEqual([invalid.code, invalid.field], ['INVALID_MESSAGE', 'event']);
+  assert.equal(member.received('broadcast'), false);
+
+  member.close();
+  creator.close();
+});
+
+test('each room signs with its own key', async () => {
+  const first = await joinRoom(server.port, await deriveRoomId('shadow-bc0003'), { isCreator: true });
+  const second = await joinRoom(server.port, await deriveRoomId('shadow-bc0004'), { isCreator: true });
+  const member = await joinRoom(server.port, await deriveRoomId('shadow-bc0003'));
+
+  first.send({ type: 'broadcast', event: 'admin-changed' });
+  const received = await member.next('broadcast');
+  assert.equal(await verifyBroadcast(second.joined.broadcastKey, received), null);
+
+  member.close();
+  second.close();
+  first.close();
+});
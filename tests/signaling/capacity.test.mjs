@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+const CLOSE_ROOM_FULL = 4007;
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '0', MAX_ROOM_PEERS: '3' });
+});
+after(() => server.close());
+
+test('a full room turns joiners away', async () => {
+  const roomId = await deriveRoomId('shadow-ca0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, maxPeers: 2 });
+  const member = await joinRoom(server.port, roomId);
+
+  const late = await TestClient.connect(server.port, roomId);
+  late.send({ type: 'join' });
+  const error = await late.next('error');
+  assert.deepEqual([error.code, error.maxPeers], ['ROOM_FULL', 2]);
+  assert.equal((await late.closed).code, CLOSE_ROOM_FULL);
+
+  member.close();
+  creator.close();
+});
+
+test('the deployment cap wins over a larger maxPeers', async () => {
+  const roomId = await deriveRoomId('shadow-ca0002');
+  const peers = [await joinRoom(server.port, roomId, { isCreator: true, maxPeers: 10 })];
+  peers.push(await joinRoom(server.port, roomId), await joinRoom(server.port, roomId));
+
+  const late = await TestClient.connect(server.port, roomId);
+  late.send({ type: 'join' });
+  assert.equal((await late.next('error')).maxPeers, 3);
+
+  peers.forEach((peer) => peer.close());
+});
+
+test('the waitlist admits the oldest waiter when a slot frees up', async () => {
+  const roomId = await deriveRoomId('shadow-ca0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, maxPeers: 2, waitlist: true });
+  const member = await joinRoom(server.port, roomId);
+
+  const first = await TestClient.connect(server.port, roomId);
+  first.send({ type: 'join' });
+  const queued = await first.next('waitlisted');
+  assert.equal(queued.position, 1);
+  const second = await TestClient.connect(server.port, roomId);
+  second.send({ type: 'join' });
+  assert.equal((await second.next('waitlisted')).position, 2);
+
+  first.send({ type: 'offer', targetPeerId: creator.joined.peerId, payload: { sdp: 'v=0', type: 'offer' } });
+  assert.equal((await first.next('error')).code, 'WAITLISTED');
+
+  member.send({ type: 'leave' });
+  const admitted = await first.next('peers');
+  assert.equal(admitted.peerId, queued.peerId);
+  assert.deepEqual(admitted.peers, [creator.joined.peerId]);
+  assert.equal((await second.next('waitlisted')).position, 1);
+
+  second.close();
+  first.close();
+  creator.close();
+});
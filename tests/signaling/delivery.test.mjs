@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const OFFER = { sdp: 'v=0', type: 'offer' };
+const CANDIDATE = { candidate: 'candidate:1 1 udp 1 192.0.2.1 5000 typ host', sdpMid: '0' };
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '1000', RESUME_QUEUE_LIMIT: '2' });
+});
+after(() => server.close());
+
+test('relayed signaling is numbered per target and acknowledged', async () => {
+  const roomId = await deriveRoomId('shadow-de0001');
+  const target = await joinRoom(server.port, roomId, { isCreator: true });
+  const sender = await joinRoom(server.port, roomId);
+  const targetPeerId = target.joined.peerId;
+
+  sender.send({ type: 'offer', targetPeerId, payload: OFFER, ack: true, ref: 'o-1' });
+  sender.send({ type: 'ice-candidate', targetPeerId, payload: CANDIDATE });
+
+  const offer = await target.next('offer');
+  const candidate = await target.next('ice-candidate');
+  assert.equal(candidate.seq, offer.seq + 1);
+
+  const ack = await sender.next('ack');
+  assert.deepEqual(
+    [ack.targetPeerId, ack.seq, ack.status, ack.ref],
+    [targetPeerId, offer.seq, 'delivered', 'o-1']
+  );
+  assert.equal(sender.received('ack'), false, 'only frames that asked get a receipt');
+
+  sender.close();
+  target.close();
+});
+
+test('frames for a reconnecting peer are queued, then delivered or dropped', async () => {
+  const roomId = await deriveRoomId('shadow-de0002');
+  const target = await joinRoom(server.port, roomId, { isCreator: true });
+  const sender = await joinRoom(server.port, roomId);
+  const targetPeerId = target.joined.peerId;
+
+  target.drop();
+  await sleep(50);
+  for (const ref of ['c-1', 'c-2', 'c-3']) {
+    sender.send({ type: 'ice-candidate', targetPeerId, payload: CANDIDATE, ack: true, ref });
+  }
+
+  const receipts = [];
+  for (let i = 0; i < 4; i++) {
+    const { ref, status } = await sender.next('ack');
+    receipts.push(`${ref}:${status}`);
+  }
+  // The queue holds two, so the oldest is pushed out by the third
+  assert.deepEqual(receipts, ['c-1:queued', 'c-2:queued', 'c-1:dropped', 'c-3:queued']);
+
+  const resumed = await TestClient.connect(server.port, roomId);
+  resumed.send({ type: 'resume', resumeToken: target.joined.resumeToken });
+  const reply = await resumed.next('resumed');
+  assert.equal(reply.lastSeq, 3);
+  assert.equal((await resumed.next('ice-candidate')).seq, 2);
+  assert.equal((await resumed.next('ice-candidate')).seq, 3);
+
+  const delivered = [await sender.next('ack'), await sender.next('ack')];
+  assert.deepEqual(delivered.map(({ ref, status }) => `${ref}:${status}`), ['c-2:delivered', 'c-3:delivered']);
+
+  resumed.close();
+  sender.close();
+});
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+const OFFER = { sdp: 'v=0', type: 'offer' };
+const ANSWER = { sdp: 'v=0', type: 'answer' };
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('the newer peer offers and the older one answers', async () => {
+  const roomId = await deriveRoomId('shadow-gl0001');
+  const older = await joinRoom(server.port, roomId, { isCreator: true });
+  const newer = await joinRoom(server.port, roomId);
+
+  assert.equal(newer.joined.role, 'offerer');
+  const joined = await older.next('peer-joined');
+  assert.deepEqual([joined.peerId, joined.role], [newer.joined.peerId, 'answerer']);
+
+  older.send({ type: 'offer', targetPeerId: newer.joined.peerId, payload: OFFER, ref: 'o1' });
+  const refused = await older.next('error');
+  assert.deepEqual(
+    [refused.code, refused.targetPeerId, refused.ref],
+    ['NOT_OFFERER', newer.joined.peerId, 'o1']
+  );
+  assert.equal(newer.received('offer'), false);
+
+  newer.send({ type: 'offer', targetPeerId: older.joined.peerId, payload: OFFER });
+  assert.equal((await older.next('offer')).fromPeerId, newer.joined.peerId);
+  older.send({ type: 'answer', targetPeerId: newer.joined.peerId, payload: ANSWER });
+  assert.equal((await newer.next('answer')).fromPeerId, older.joined.peerId);
+
+  newer.close();
+  older.close();
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '200' });
+});
+after(() => server.close());
+
+test('the longest-admitted peer takes over when the creator leaves', async () => {
+  const roomId = await deriveRoomId('shadow-ho0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const older = await joinRoom(server.port, roomId);
+  const newer = await joinRoom(server.port, roomId);
+  assert.equal(newer.joined.adminId, creator.joined.peerId);
+
+  creator.send({ type: 'leave' });
+  for (const peer of [older, newer]) {
+    const changed = await peer.next('admin-changed');
+    assert.deepEqual(
+      [changed.peerId, changed.previousPeerId],
+      [older.joined.peerId, creator.joined.peerId]
+    );
+  }
+
+  older.send({ type: 'kick', peerId: newer.joined.peerId });
+  await newer.next('kicked');
+
+  older.close();
+});
+
+test('a creator waiting out its resume window keeps the role', async () => {
+  const roomId = await deriveRoomId('shadow-ho0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+
+  creator.drop();
+  await sleep(100);
+  assert.equal(member.received('admin-changed'), false);
+
+  const changed = await member.next('admin-changed', 1000);
+  assert.equal(changed.peerId, member.joined.peerId);
+  member.close();
+});
+
+test('the new admin is asked about requests the old one left pending', async () => {
+  const roomId = await deriveRoomId('shadow-ho0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, approvalMode: true });
+  const member = await TestClient.connect(server.port, roomId);
+  member.send({ type: 'join' });
+  creator.send({ type: 'approve', peerId: (await creator.next('join-request')).peerId });
+  member.joined = await member.next('peers');
+
+  const waiting = await TestClient.connect(server.port, roomId);
+  waiting.send({ type: 'join', displayName: 'Grace' });
+  const { peerId } = await waiting.next('waiting');
+
+  creator.send({ type: 'leave' });
+  await member.next('admin-changed');
+  const request = await member.next('join-request');
+  assert.deepEqual([request.peerId, request.displayName], [peerId, 'Grace']);
+
+  member.send({ type: 'approve', peerId });
+  assert.deepEqual((await waiting.next('peers')).peers, [member.joined.peerId]);
+
+  waiting.close();
+  member.close();
+});
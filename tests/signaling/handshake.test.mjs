@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+const CLOSE_UNSUPPORTED_VERSION = 4006;
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('hello is answered with the agreed version and shared capabilities', async () => {
+  const client = await TestClient.connect(server.port, await deriveRoomId('shadow-hs0001'));
+  client.send({ type: 'hello', version: 1, capabilities: ['resume', 'ice-batch', 'time-travel'] });
+
+  const welcome = await client.next('welcome');
+  assert.equal(welcome.version, 1);
+  assert.equal(welcome.latestVersion, 1);
+  assert.deepEqual(welcome.capabilities, ['resume', 'ice-batch']);
+
+  client.send({ type: 'hello', version: 1 });
+  const repeated = await client.next('error');
+  assert.deepEqual([repeated.code, repeated.field], ['INVALID_MESSAGE', 'type']);
+  client.close();
+});
+
+test('an unsupported version is refused and the socket closed', async () => {
+  const client = await TestClient.connect(server.port, await deriveRoomId('shadow-hs0002'));
+  client.send({ type: 'hello', version: 99 });
+
+  const error = await client.next('error');
+  assert.equal(error.code, 'UNSUPPORTED_VERSION');
+  assert.deepEqual(error.supportedVersions, [1]);
+  assert.equal((await client.closed).code, CLOSE_UNSUPPORTED_VERSION);
+});
+
+test('a client that skips hello speaks the original protocol', async () => {
+  const roomId = await deriveRoomId('shadow-hs0003');
+  const legacy = await joinRoom(server.port, roomId, { isCreator: true });
+  assert.equal(legacy.received('welcome'), false);
+
+  legacy.send({ type: 'hello', version: 1 });
+  assert.equal((await legacy.next('error')).code, 'INVALID_MESSAGE');
+  legacy.close();
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, getRoom, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const CLOSE_HEARTBEAT_TIMEOUT = 4000;
+
+let server;
+before(async () => {
+  server = await startServer({
+    HEARTBEAT_INTERVAL_MS: '100',
+    HEARTBEAT_TIMEOUT_MS: '250',
+    HEARTBEAT_CHECK_INTERVAL_MS: '100',
+    RESUME_WINDOW_MS: '0',
+  });
+});
+after(() => server.close());
+
+test('peers learn the heartbeat interval and get pongs', async () => {
+  const roomId = await deriveRoomId('shadow-hb0001');
+  const client = await joinRoom(server.port, roomId, { isCreator: true });
+  assert.equal(client.joined.heartbeatIntervalMs, 100);
+
+  client.send({ type: 'ping' });
+  assert.equal((await client.next('pong')).type, 'pong');
+  client.close();
+});
+
+test('a peer that stops pinging is evicted and the others are told', async () => {
+  const roomId = await deriveRoomId('shadow-hb0002');
+  const alive = await joinRoom(server.port, roomId, { isCreator: true });
+  const keepAlive = setInterval(() => alive.send({ type: 'ping' }), 50);
+  try {
+    const silent = await joinRoom(server.port, roomId);
+    silent.send({ type: 'ping' });
+    await silent.next('pong');
+
+    assert.equal((await silent.closed).code, CLOSE_HEARTBEAT_TIMEOUT);
+    const left = await alive.next('peer-left', 2000);
+    assert.equal(left.peerId, silent.joined.peerId);
+
+    const liveness = (await getRoom(server, roomId)).getLiveness();
+    assert.deepEqual(liveness.map((entry) => entry.peerId), [alive.joined.peerId]);
+  } finally {
+    clearInterval(keepAlive);
+    alive.close();
+  }
+});
+
+test('a peer that never pinged is probed, and kept only if it answers', async () => {
+  const roomId = await deriveRoomId('shadow-hb0003');
+  const answering = await joinRoom(server.port, roomId, { isCreator: true });
+  answering.ws.on('message', (data) => {
+    if (JSON.parse(data.toString()).type === 'ping') {
+      answering.send({ type: 'pong' });
+    }
+  });
+  const ignoring = await joinRoom(server.port, roomId);
+
+  const probe = await ignoring.next('ping', 1000);
+  assert.equal(typeof probe.ts, 'number');
+  assert.equal((await ignoring.closed).code, CLOSE_HEARTBEAT_TIMEOUT);
+
+  await sleep(300);
+  const liveness = (await getRoom(server, roomId)).getLiveness();
+  assert.deepEqual(liveness.map((entry) => entry.peerId), [answering.joined.peerId]);
+  answering.close();
+});
+
+test('the liveness check stops once the room is empty', async () => {
+  const roomId = await deriveRoomId('shadow-hb0004');
+  const client = await TestClient.connect(server.port, roomId);
+  client.send({ type: 'join', isCreator: true });
+  await client.next('peers');
+  client.close();
+  await client.closed;
+  await sleep(50);
+
+  const room = await getRoom(server, roomId);
+  assert.equal(room.heartbeatDueAt, null);
+  assert.equal(await server.env.ROOMS.getState(roomId).storage.getAlarm(), null);
+});
@@ -0,0 +1,143 @@
+/**
+ * Helpers for testing the signaling worker through local-server.js.
+ *
+ * Each test starts its own server on a free port, so tests never share
+ * rooms. Clients speak the real protocol over real sockets; nothing in the
+ * worker is stubbed.
+ */
+
+import { createRequire } from 'node:module';
+
+import { deriveRoomId } from '../../signaling/admission.js';
+import { startLocalServer } from '../../signaling/local-server.js';
+
+// ws is a dependency of the signaling package, not of the repository root
+const require = createRequire(new URL('../../signaling/package.json', import.meta.url));
+const WebSocket = require('ws');
+
+export { deriveRoomId };
+
+/**
+ * Start a local server on a free port.
+ *
+ * @param {Object} env - Vars layered over wrangler.toml, e.g. short timeouts
+ * @returns {Promise<{port: number, env: Object, close: Function}>}
+ */
+export function startServer(env = {}) {
+  return startLocalServer({ port: 0, host: '127.0.0.1', env });
+}
+
+/**
+ * The SignalingRoom instance behind a room ID, e.g. for getLiveness().
+ */
+export function getRoom(server, roomId) {
+  return server.env.ROOMS.getInstance(roomId);
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * A signaling client that records every message it receives.
+ */
+export class TestClient {
+  /**
+   * @param {number} port
+   * @param {string} roomId
+   * @param {Object} options
+   * @param {string} options.ip - Sent as CF-Connecting-IP, for per-IP rules
+   */
+  static async connect(port, roomId, { ip } = {}) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/room/${roomId}`, {
+      headers: ip ? { 'CF-Connecting-IP': ip } : {},
+    });
+    const client = new TestClient(ws);
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    return client;
+  }
+
+  constructor(ws) {
+    this.ws = ws;
+    this.inbox = [];
+    this.waiters = [];
+    this.closed = new Promise((resolve) => {
+      ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+    });
+
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString());
+      const waiter = this.waiters.find((candidate) => candidate.type === message.type);
+      if (waiter) {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        waiter.resolve(message);
+      } else {
+        this.inbox.push(message);
+      }
+    });
+  }
+
+  send(message) {
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * The next message of a type, including one that already arrived.
+   *
+   * @returns {Promise<Object>}
+   */
+  next(type, timeoutMs = 2000) {
+    const index = this.inbox.findIndex((message) => message.type === type);
+    if (index !== -1) {
+      return Promise.resolve(this.inbox.splice(index, 1)[0]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        type,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        },
+      };
+      const timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`No '${type}' within ${timeoutMs}ms; got ${JSON.stringify(this.inbox)}`));
+      }, timeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Whether a message of a type has arrived and not been consumed.
+   */
+  received(type) {
+    return this.inbox.some((message) => message.type === type);
+  }
+
+  close() {
+    this.ws.close();
+  }
+
+  /**
+   * Drop the connection without a close frame, like a lost network.
+   */
+  drop() {
+    this.ws.terminate();
+  }
+}
+
+/**
+ * Connect and join, waiting for the `peers` reply.
+ *
+ * @returns {Promise<TestClient>} client with the reply as `client.joined`
+ */
+export async function joinRoom(port, roomId, join = {}, options = {}) {
+  const client = await TestClient.connect(port, roomId, options);
+  client.send({ type: 'join', ...join });
+  client.joined = await client.next('peers');
+  return client;
+}
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, getRoom, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const OFFER = { sdp: 'v=0', type: 'offer' };
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '1000' });
+});
+after(() => server.close());
+
+test('peers survive an eviction and keep signaling through the new instance', async () => {
+  const roomId = await deriveRoomId('shadow-hi0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+  const evicted = await getRoom(server, roomId);
+
+  server.env.ROOMS.hibernate(roomId);
+
+  member.send({ type: 'offer', targetPeerId: creator.joined.peerId, payload: OFFER });
+  const offer = await creator.next('offer');
+  assert.equal(offer.fromPeerId, member.joined.peerId);
+
+  const woken = await getRoom(server, roomId);
+  assert.notEqual(woken, evicted);
+  assert.deepEqual(
+    woken.getLiveness().map((entry) => entry.peerId).sort(),
+    [creator.joined.peerId, member.joined.peerId].sort()
+  );
+
+  // The restored creator still holds the admin role
+  creator.send({ type: 'kick', peerId: member.joined.peerId });
+  await member.next('kicked');
+
+  creator.close();
+});
+
+test('a suspended peer is restored from storage and can still resume', async () => {
+  const roomId = await deriveRoomId('shadow-hi0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const dropped = await joinRoom(server.port, roomId);
+  dropped.drop();
+  await sleep(50);
+
+  server.env.ROOMS.hibernate(roomId);
+
+  const newcomer = await joinRoom(server.port, roomId);
+  assert.deepEqual(newcomer.joined.peers.sort(), [creator.joined.peerId, dropped.joined.peerId].sort());
+
+  const resumed = await TestClient.connect(server.port, roomId);
+  resumed.send({ type: 'resume', resumeToken: dropped.joined.resumeToken });
+  assert.equal((await resumed.next('resumed')).peerId, dropped.joined.peerId);
+
+  resumed.close();
+  newcomer.close();
+  creator.close();
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const candidate = (port) => ({ candidate: `candidate:1 1 udp 1 192.0.2.1 ${port} typ host`, sdpMid: '0' });
+const END_OF_CANDIDATES = { candidate: '' };
+
+let server;
+before(async () => {
+  server = await startServer({ ICE_BATCH_WINDOW_MS: '100' });
+});
+after(() => server.close());
+
+async function joinBatching(roomId, join = {}) {
+  const client = await TestClient.connect(server.port, roomId);
+  client.send({ type: 'hello', version: 1, capabilities: ['ice-batch'] });
+  await client.next('welcome');
+  client.send({ type: 'join', ...join });
+  client.joined = await client.next('peers');
+  return client;
+}
+
+test('candidates for a batching peer go out as one frame when the alarm fires', async () => {
+  const roomId = await deriveRoomId('shadow-ib0001');
+  const target = await joinBatching(roomId, { isCreator: true });
+  const sender = await joinRoom(server.port, roomId);
+  const targetPeerId = target.joined.peerId;
+
+  for (const port of [5000, 5001, 5002]) {
+    sender.send({ type: 'ice-candidate', targetPeerId, payload: candidate(port) });
+  }
+  await sleep(30);
+  assert.equal(target.received('ice-candidates'), false, 'held until the window closes');
+
+  const batch = await target.next('ice-candidates', 1000);
+  assert.equal(batch.fromPeerId, sender.joined.peerId);
+  assert.deepEqual(batch.candidates, [candidate(5000), candidate(5001), candidate(5002)]);
+  assert.equal(batch.complete, undefined);
+  assert.equal(target.received('ice-candidate'), false);
+
+  sender.close();
+  target.close();
+});
+
+test('end-of-candidates flushes the batch at once and marks it complete', async () => {
+  const roomId = await deriveRoomId('shadow-ib0002');
+  const target = await joinBatching(roomId, { isCreator: true });
+  const sender = await joinRoom(server.port, roomId);
+  const targetPeerId = target.joined.peerId;
+
+  sender.send({ type: 'ice-candidate', targetPeerId, payload: candidate(5000) });
+  sender.send({ type: 'ice-candidate', targetPeerId, payload: END_OF_CANDIDATES });
+
+  const batch = await target.next('ice-candidates', 80);
+  assert.deepEqual(batch.candidates, [candidate(5000)]);
+  assert.equal(batch.complete, true);
+
+  sender.close();
+  target.close();
+});
+
+test('a peer without ice-batch gets a batch as single candidates', async () => {
+  const roomId = await deriveRoomId('shadow-ib0003');
+  const target = await joinRoom(server.port, roomId, { isCreator: true });
+  const sender = await joinBatching(roomId);
+
+  sender.send({
+    type: 'ice-candidates',
+    targetPeerId: target.joined.peerId,
+    candidates: [candidate(5000), candidate(5001)],
+    complete: true,
+  });
+
+  const received = [];
+  for (let i = 0; i < 3; i++) {
+    received.push((await target.next('ice-candidate')).payload);
+  }
+  assert.deepEqual(received, [candidate(5000), candidate(5001), END_OF_CANDIDATES]);
+
+  sender.close();
+  target.close();
+});
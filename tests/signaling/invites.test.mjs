@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const CLOSE_REJECTED = 4002;
+
+let server;
+before(async () => {
+  server = await startServer({
+    RESUME_WINDOW_MS: '0',
+    MAX_ROOM_INVITES: '150',
+    RATE_LIMIT_CONTROL_BURST: '500',
+    RATE_LIMIT_IP_CONTROL_BURST: '500',
+  });
+});
+after(() => server.close());
+
+async function createInvite(creator) {
+  creator.send({ type: 'create-invite' });
+  return (await creator.next('invite-created')).token;
+}
+
+test('a locked room only admits joiners with an invite, once each', async () => {
+  const roomId = await deriveRoomId('shadow-in0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  creator.send({ type: 'lock-room' });
+  assert.equal((await creator.next('room-locked')).locked, true);
+
+  const uninvited = await TestClient.connect(server.port, roomId);
+  uninvited.send({ type: 'join' });
+  assert.equal((await uninvited.next('error')).code, 'ROOM_LOCKED');
+  assert.equal((await uninvited.closed).code, CLOSE_REJECTED);
+
+  const token = await createInvite(creator);
+  const invited = await joinRoom(server.port, roomId, { invite: token });
+  assert.deepEqual(invited.joined.peers, [creator.joined.peerId]);
+
+  const reused = await TestClient.connect(server.port, roomId);
+  reused.send({ type: 'join', invite: token });
+  assert.equal((await reused.next('error')).code, 'INVITE_INVALID');
+  assert.equal((await reused.closed).code, CLOSE_REJECTED);
+
+  invited.close();
+  creator.close();
+});
+
+test('an invite refused as ROOM_FULL can be used later', async () => {
+  const roomId = await deriveRoomId('shadow-in0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, maxPeers: 2 });
+  const member = await joinRoom(server.port, roomId);
+  const token = await createInvite(creator);
+
+  const early = await TestClient.connect(server.port, roomId);
+  early.send({ type: 'join', invite: token });
+  assert.equal((await early.next('error')).code, 'ROOM_FULL');
+
+  member.send({ type: 'leave' });
+  await creator.next('peer-left');
+  const invited = await joinRoom(server.port, roomId, { invite: token });
+  assert.deepEqual(invited.joined.peers, [creator.joined.peerId]);
+
+  invited.close();
+  creator.close();
+});
+
+test('unexpired invites are capped, and all of them are wiped with the room', async () => {
+  const roomId = await deriveRoomId('shadow-in0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  for (let i = 0; i < 150; i++) {
+    await createInvite(creator);
+  }
+
+  creator.send({ type: 'create-invite', ref: 'one-more' });
+  const refused = await creator.next('error');
+  assert.deepEqual([refused.code, refused.maxInvites, refused.ref], ['TOO_MANY_INVITES', 150, 'one-more']);
+
+  // More keys than one storage delete accepts
+  creator.send({ type: 'leave' });
+  await sleep(100);
+  assert.equal((await server.env.ROOMS.getState(roomId).storage.list()).size, 0);
+  creator.close();
+});
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, getRoom, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const CLOSE_ROOM_ENDED = 4004;
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '0', ENDED_ROOM_RETENTION_MS: '400' });
+});
+after(() => server.close());
+
+test('a room ends when its TTL runs out, and refuses joins afterwards', async () => {
+  const roomId = await deriveRoomId('shadow-lt0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, ttlMs: 200 });
+  assert.ok(creator.joined.expiresAt > Date.now());
+  const member = await joinRoom(server.port, roomId);
+
+  assert.equal((await member.next('room-ended', 1000)).reason, 'expired');
+  assert.equal((await member.closed).code, CLOSE_ROOM_ENDED);
+  assert.equal((await creator.closed).code, CLOSE_ROOM_ENDED);
+
+  const late = await TestClient.connect(server.port, roomId);
+  late.send({ type: 'join' });
+  assert.equal((await late.next('error')).code, 'ROOM_ENDED');
+});
+
+test('the TTL runs on the alarm even while the room is empty and evicted', async () => {
+  const roomId = await deriveRoomId('shadow-lt0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, ttlMs: 300 });
+  creator.send({ type: 'leave' });
+  await sleep(50);
+  server.env.ROOMS.hibernate(roomId);
+
+  await sleep(350);
+  assert.notEqual((await getRoom(server, roomId)).config.endedAt, null);
+});
+
+test('the creator can end the room, and reuse its code once wiped', async () => {
+  const roomId = await deriveRoomId('shadow-lt0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+
+  member.send({ type: 'end-room' });
+  assert.equal((await member.next('error')).code, 'NOT_CREATOR');
+
+  creator.send({ type: 'end-room' });
+  assert.equal((await member.next('room-ended')).reason, 'ended');
+  assert.equal((await member.closed).code, CLOSE_ROOM_ENDED);
+
+  await sleep(500);
+  assert.equal((await server.env.ROOMS.getState(roomId).storage.list()).size, 0);
+
+  const again = await joinRoom(server.port, roomId, { isCreator: true });
+  assert.deepEqual(again.joined.peers, []);
+  again.close();
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+const CLOSE_KICKED = 4003;
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '0' });
+});
+after(() => server.close());
+
+test('a kicked peer is banned by IP and by resume token', async () => {
+  const roomId = await deriveRoomId('shadow-mo0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true }, { ip: '10.0.0.1' });
+  const kicked = await joinRoom(server.port, roomId, {}, { ip: '10.0.0.2' });
+
+  creator.send({ type: 'kick', peerId: kicked.joined.peerId });
+  await kicked.next('kicked');
+  assert.equal((await kicked.closed).code, CLOSE_KICKED);
+
+  // A fresh join gets a fresh server-minted ID, so the IP ban is what stops it
+  const rejoin = await TestClient.connect(server.port, roomId, { ip: '10.0.0.2' });
+  rejoin.send({ type: 'join' });
+  assert.equal((await rejoin.next('error')).code, 'BANNED');
+  assert.equal((await rejoin.closed).code, CLOSE_KICKED);
+
+  const resume = await TestClient.connect(server.port, roomId, { ip: '10.0.0.3' });
+  resume.send({ type: 'resume', resumeToken: kicked.joined.resumeToken });
+  assert.equal((await resume.next('error')).code, 'BANNED');
+
+  const other = await joinRoom(server.port, roomId, {}, { ip: '10.0.0.4' });
+  assert.deepEqual(other.joined.peers, [creator.joined.peerId]);
+
+  other.close();
+  creator.close();
+});
+
+test('only the creator can kick', async () => {
+  const roomId = await deriveRoomId('shadow-mo0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+
+  member.send({ type: 'kick', peerId: creator.joined.peerId });
+  assert.equal((await member.next('error')).code, 'NOT_CREATOR');
+  assert.equal(creator.received('kicked'), false);
+
+  member.close();
+  creator.close();
+});
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server.close());
+
+test('the server mints peer IDs and ignores the ones clients claim', async () => {
+  const roomId = await deriveRoomId('shadow-pi0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, peerId: 'chosen' });
+  const impostor = await joinRoom(server.port, roomId, { peerId: creator.joined.peerId });
+
+  assert.match(creator.joined.peerId, /^[A-Za-z0-9_-]{22}$/);
+  assert.notEqual(creator.joined.peerId, 'chosen');
+  assert.notEqual(impostor.joined.peerId, creator.joined.peerId);
+  assert.equal((await creator.next('peer-joined')).peerId, impostor.joined.peerId);
+
+  impostor.close();
+  creator.close();
+});
+
+test('a socket joins only once', async () => {
+  const roomId = await deriveRoomId('shadow-pi0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+
+  creator.send({ type: 'join', ref: 7 });
+  const error = await creator.next('error');
+  assert.deepEqual([error.code, error.ref], ['ALREADY_JOINED', 7]);
+  assert.equal(creator.received('peers'), false);
+
+  creator.close();
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { after, beforeEach, test } from 'node:test';
+
+import { solvePow, verifyPow } from '../../signaling/pow.js';
+import { TestClient, deriveRoomId, sleep, startServer } from './helpers.mjs';
+
+const CLOSE_REJECTED = 4002;
+
+// A fresh server per test, so each starts with an empty JoinGuard
+let server;
+beforeEach(async () => {
+  await server?.close();
+  server = await startServer({ POW_DIFFICULTY: '1', POW_FAILURE_THRESHOLD: '2' });
+});
+after(() => server.close());
+
+async function connect(code) {
+  return TestClient.connect(server.port, await deriveRoomId(code));
+}
+
+/**
+ * Send a request, solve the challenge it draws, and send it again.
+ */
+async function sendWithPow(client, message) {
+  client.send(message);
+  const { nonce, difficulty } = await client.next('pow-challenge');
+  client.send({ ...message, pow: await solvePow(nonce, difficulty) });
+  return difficulty;
+}
+
+async function wrongSolution(nonce, difficulty) {
+  let guess = 0;
+  while (await verifyPow(nonce, difficulty, String(guess))) {
+    guess++;
+  }
+  return String(guess);
+}
+
+async function currentDifficulty() {
+  // Reports to the guard are not awaited by the room
+  await sleep(50);
+  const probe = await connect('shadow-pw9999');
+  probe.send({ type: 'join' });
+  const { difficulty } = await probe.next('pow-challenge');
+  probe.close();
+  return difficulty;
+}
+
+test('join and resume wait for a solved challenge', async () => {
+  const creator = await connect('shadow-pw0001');
+  assert.equal(await sendWithPow(creator, { type: 'join', isCreator: true }), 1);
+  const { peers } = await creator.next('peers');
+  assert.deepEqual(peers, []);
+
+  const resumer = await connect('shadow-pw0001');
+  await sendWithPow(resumer, { type: 'resume', resumeToken: 'unknown' });
+  assert.equal((await resumer.next('error')).code, 'RESUME_FAILED');
+
+  resumer.close();
+  creator.close();
+});
+
+test('a wrong solution is refused but does not raise the difficulty', async () => {
+  for (let i = 0; i < 4; i++) {
+    const guesser = await connect(`shadow-pw001${i}`);
+    guesser.send({ type: 'join' });
+    const { nonce, difficulty } = await guesser.next('pow-challenge');
+    guesser.send({ type: 'join', pow: await wrongSolution(nonce, difficulty) });
+    assert.equal((await guesser.next('error')).code, 'POW_FAILED');
+    assert.equal((await guesser.closed).code, CLOSE_REJECTED);
+  }
+
+  assert.equal(await currentDifficulty(), 1);
+});
+
+test('failed joins in any room raise the difficulty everywhere', async () => {
+  for (const code of ['shadow-pw0021', 'shadow-pw0022']) {
+    const prober = await connect(code);
+    await sendWithPow(prober, { type: 'resume', resumeToken: 'unknown' });
+    assert.equal((await prober.next('error')).code, 'RESUME_FAILED');
+
+    // The solution paid for one failure, so the next try needs another
+    prober.send({ type: 'resume', resumeToken: 'unknown' });
+    await prober.next('pow-challenge');
+    prober.close();
+  }
+
+  assert.equal(await currentDifficulty(), 2);
+});
+
+test('arriving first in an empty room is not a failed join', async () => {
+  for (const code of ['shadow-pw0031', 'shadow-pw0032']) {
+    const early = await connect(code);
+    await sendWithPow(early, { type: 'join' });
+    await early.next('peers');
+    early.close();
+  }
+
+  assert.equal(await currentDifficulty(), 1);
+});
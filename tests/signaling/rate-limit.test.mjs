@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { after, before, mock, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const CLOSE_RATE_LIMITED = 4005;
+
+let server;
+before(async () => {
+  server = await startServer({
+    RESUME_WINDOW_MS: '0',
+    RATE_LIMIT_CONTROL_BURST: '3',
+    RATE_LIMIT_CONTROL_PER_SECOND: '0.01',
+    RATE_LIMIT_IP_CONTROL_BURST: '5',
+    RATE_LIMIT_IP_CONTROL_PER_SECOND: '0.01',
+    RATE_LIMIT_MAX_VIOLATIONS: '3',
+  });
+});
+after(() => server.close());
+
+test('over-limit frames are refused, and a peer that keeps going is closed', async () => {
+  const roomId = await deriveRoomId('shadow-rl0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true }, { ip: '10.1.0.1' });
+  const flooder = await joinRoom(server.port, roomId, {}, { ip: '10.1.0.2' });
+  const errors = mock.method(console, 'error', () => {});
+  try {
+    // The join took nothing from the control budget
+    for (let i = 0; i < 20; i++) {
+      flooder.send({ type: 'pong' });
+    }
+
+    const notice = await flooder.next('rate-limited');
+    assert.equal(notice.code, 'RATE_LIMITED');
+    assert.equal(notice.budget, 'control');
+    assert.equal(notice.scope, 'connection');
+    assert.ok(notice.retryAfterMs > 0);
+
+    assert.equal((await flooder.closed).code, CLOSE_RATE_LIMITED);
+    assert.equal((await creator.next('peer-left')).peerId, flooder.joined.peerId);
+
+    // Frames still queued behind the close are dropped without a trace
+    await sleep(50);
+    assert.equal(errors.mock.callCount(), 0);
+  } finally {
+    errors.mock.restore();
+  }
+
+  creator.close();
+});
+
+test('sockets from one IP share its budget', async () => {
+  const roomId = await deriveRoomId('shadow-rl0002');
+  const first = await TestClient.connect(server.port, roomId, { ip: '10.1.0.3' });
+  const second = await TestClient.connect(server.port, roomId, { ip: '10.1.0.3' });
+
+  for (let i = 0; i < 3; i++) {
+    first.send({ type: 'pong' });
+  }
+  for (let i = 0; i < 3; i++) {
+    second.send({ type: 'pong' });
+  }
+
+  const notice = await second.next('rate-limited');
+  assert.equal(notice.scope, 'ip');
+  assert.equal(first.received('rate-limited'), false);
+
+  first.close();
+  second.close();
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer({ RELAY_ROOM_BYTES_PER_SECOND: '10', RELAY_ROOM_BURST_BYTES: '20' });
+});
+after(() => server.close());
+
+async function joinWith(roomId, capabilities, join = {}) {
+  const client = await TestClient.connect(server.port, roomId);
+  client.send({ type: 'hello', version: 1, capabilities });
+  client.welcome = await client.next('welcome');
+  client.send({ type: 'join', ...join });
+  client.joined = await client.next('peers');
+  return client;
+}
+
+test('relay only flows between peers that negotiated it', async () => {
+  const roomId = await deriveRoomId('shadow-re0001');
+  const creator = await joinWith(roomId, ['relay'], { isCreator: true });
+  const relaying = await joinWith(roomId, ['relay']);
+  const plain = await joinRoom(server.port, roomId);
+  assert.deepEqual(creator.welcome.capabilities, ['relay']);
+
+  relaying.send({ type: 'relay', payload: 'sealed' });
+  const delivered = await creator.next('relay');
+  assert.deepEqual([delivered.fromPeerId, delivered.payload], [relaying.joined.peerId, 'sealed']);
+  assert.equal(plain.received('relay'), false);
+
+  relaying.send({ type: 'relay', targetPeerId: plain.joined.peerId, payload: 'x' });
+  const refused = await relaying.next('error');
+  assert.deepEqual([refused.code, refused.targetPeerId], ['CAPABILITY_REQUIRED', plain.joined.peerId]);
+
+  plain.send({ type: 'relay', payload: 'x' });
+  assert.equal((await plain.next('error')).code, 'CAPABILITY_REQUIRED');
+
+  plain.close();
+  relaying.close();
+  creator.close();
+});
+
+test('relay bytes are capped per room', async () => {
+  const roomId = await deriveRoomId('shadow-re0002');
+  const creator = await joinWith(roomId, ['relay'], { isCreator: true });
+  const sender = await joinWith(roomId, ['relay']);
+
+  sender.send({ type: 'relay', payload: 'x'.repeat(20) });
+  await creator.next('relay');
+  sender.send({ type: 'relay', payload: 'x'.repeat(20) });
+  const limited = await sender.next('rate-limited');
+  assert.deepEqual([limited.budget, limited.scope], ['relay-bandwidth', 'room']);
+
+  sender.close();
+  creator.close();
+});
+
+test('a deployment without relay bandwidth does not offer the capability', async () => {
+  const noRelay = await startServer({ RELAY_ROOM_BYTES_PER_SECOND: '0' });
+  try {
+    const client = await TestClient.connect(noRelay.port, await deriveRoomId('shadow-re0003'));
+    client.send({ type: 'hello', version: 1, capabilities: ['relay'] });
+    assert.deepEqual((await client.next('welcome')).capabilities, []);
+    client.close();
+  } finally {
+    await noRelay.close();
+  }
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+const OFFER = { sdp: 'v=0', type: 'offer' };
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '300' });
+});
+after(() => server.close());
+
+test('a dropped peer resumes under its ID and gets what was sent meanwhile', async () => {
+  const roomId = await deriveRoomId('shadow-rs0001');
+  const dropped = await joinRoom(server.port, roomId, { isCreator: true });
+  const newcomer = await joinRoom(server.port, roomId);
+  const { peerId, resumeToken } = dropped.joined;
+
+  // The newest peer is the one that offers
+  dropped.drop();
+  await sleep(50);
+  newcomer.send({ type: 'offer', targetPeerId: peerId, payload: OFFER });
+
+  const resumed = await TestClient.connect(server.port, roomId);
+  resumed.send({ type: 'resume', resumeToken });
+  const reply = await resumed.next('resumed');
+  assert.equal(reply.peerId, peerId);
+  assert.deepEqual(reply.peers, [newcomer.joined.peerId]);
+  assert.notEqual(reply.resumeToken, resumeToken);
+
+  const queued = await resumed.next('offer');
+  assert.equal(queued.fromPeerId, newcomer.joined.peerId);
+  assert.equal(newcomer.received('peer-left'), false);
+
+  resumed.close();
+  newcomer.close();
+});
+
+test('resume fails once the window has passed', async () => {
+  const roomId = await deriveRoomId('shadow-rs0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const dropped = await joinRoom(server.port, roomId);
+
+  dropped.drop();
+  const left = await creator.next('peer-left', 1000);
+  assert.equal(left.peerId, dropped.joined.peerId);
+
+  const late = await TestClient.connect(server.port, roomId);
+  late.send({ type: 'resume', resumeToken: dropped.joined.resumeToken });
+  assert.equal((await late.next('error')).code, 'RESUME_FAILED');
+
+  late.close();
+  creator.close();
+});
+
+test('each resume token works once', async () => {
+  const roomId = await deriveRoomId('shadow-rs0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const dropped = await joinRoom(server.port, roomId);
+  dropped.drop();
+  await sleep(50);
+
+  const first = await TestClient.connect(server.port, roomId);
+  first.send({ type: 'resume', resumeToken: dropped.joined.resumeToken });
+  await first.next('resumed');
+
+  const second = await TestClient.connect(server.port, roomId);
+  second.send({ type: 'resume', resumeToken: dropped.joined.resumeToken });
+  assert.equal((await second.next('error')).code, 'RESUME_FAILED');
+
+  second.close();
+  first.close();
+  creator.close();
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '0', EMPTY_ROOM_RETENTION_MS: '200' });
+});
+after(() => server.close());
+
+function storedEntries(roomId) {
+  return server.env.ROOMS.getState(roomId).storage.list();
+}
+
+test('credentials are stored only as hashes', async () => {
+  const roomId = await deriveRoomId('shadow-st0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true }, { ip: '10.2.0.1' });
+  const kicked = await joinRoom(server.port, roomId, {}, { ip: '10.2.0.2' });
+  creator.send({ type: 'create-invite' });
+  const { token } = await creator.next('invite-created');
+  creator.send({ type: 'kick', peerId: kicked.joined.peerId });
+  await creator.next('peer-left');
+
+  const stored = JSON.stringify(Array.from(await storedEntries(roomId)));
+  for (const secret of [token, '10.2.0.2', kicked.joined.resumeToken, creator.joined.resumeToken]) {
+    assert.equal(stored.includes(secret), false);
+  }
+  creator.close();
+});
+
+test('a room without a TTL is wiped as soon as it empties', async () => {
+  const roomId = await deriveRoomId('shadow-st0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, approvalMode: true });
+  creator.send({ type: 'create-invite' });
+  await creator.next('invite-created');
+  assert.ok((await storedEntries(roomId)).has('config'));
+
+  creator.send({ type: 'leave' });
+  await sleep(50);
+  assert.equal((await storedEntries(roomId)).size, 0);
+
+  // The code starts over: the next joiner creates a room without approval
+  const next = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+  assert.deepEqual(member.joined.peers, [next.joined.peerId]);
+  member.close();
+  next.close();
+  creator.close();
+});
+
+test('an emptied room with a TTL keeps its config for a while, then the alarm wipes it', async () => {
+  const roomId = await deriveRoomId('shadow-st0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, ttlMs: 60000 });
+  creator.send({ type: 'leave' });
+  await sleep(50);
+  const kept = await storedEntries(roomId);
+  assert.equal(typeof kept.get('config').emptiedAt, 'number');
+
+  await sleep(300);
+  assert.equal((await storedEntries(roomId)).size, 0);
+  assert.equal(await server.env.ROOMS.getState(roomId).storage.getAlarm(), null);
+  creator.close();
+});
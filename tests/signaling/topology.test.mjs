@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer({ RESUME_WINDOW_MS: '0', MESH_FULL_MAX_PEERS: '3', MESH_DEGREE: '2' });
+});
+after(() => server.close());
+
+async function joinMeshed(roomId, join = {}) {
+  const client = await TestClient.connect(server.port, roomId);
+  client.send({ type: 'hello', version: 1, capabilities: ['partial-mesh'] });
+  await client.next('welcome');
+  client.send({ type: 'join', ...join });
+  client.joined = await client.next('peers');
+  return client;
+}
+
+/**
+ * The last `neighbors` message a client got, or null, once the room is quiet.
+ */
+async function latestNeighbors(client) {
+  await sleep(50);
+  let latest = null;
+  while (client.received('neighbors')) {
+    latest = await client.next('neighbors');
+  }
+  return latest;
+}
+
+function closeAll(clients) {
+  for (const client of clients) {
+    client.close();
+  }
+}
+
+test('a large room becomes a partial mesh and shrinks back to a full one', async () => {
+  const roomId = await deriveRoomId('shadow-to0001');
+  const first = await joinMeshed(roomId, { isCreator: true });
+  const others = [await joinMeshed(roomId), await joinMeshed(roomId)];
+  assert.equal(others[1].joined.peers.length, 2);
+  assert.equal(others[1].joined.topology, 'full');
+
+  const last = await joinMeshed(roomId);
+  assert.equal(last.joined.topology, 'partial');
+  assert.equal(last.joined.peers.length, 2);
+
+  const rebalanced = await latestNeighbors(first);
+  assert.equal(rebalanced.topology, 'partial');
+  assert.equal(rebalanced.peers.length, 2);
+  for (const peerId of rebalanced.peers) {
+    assert.ok(['offerer', 'answerer'].includes(rebalanced.roles[peerId]));
+  }
+
+  last.send({ type: 'leave' });
+  const restored = await latestNeighbors(first);
+  assert.equal(restored.topology, 'full');
+  assert.deepEqual(restored.peers.sort(), others.map((client) => client.joined.peerId).sort());
+
+  closeAll([first, ...others]);
+});
+
+test('peers without the capability stay in the full mesh', async () => {
+  const roomId = await deriveRoomId('shadow-to0002');
+  const legacy = await joinRoom(server.port, roomId, { isCreator: true });
+  const meshed = [];
+  for (let i = 0; i < 5; i++) {
+    meshed.push(await joinMeshed(roomId));
+  }
+  const lateLegacy = await joinRoom(server.port, roomId);
+
+  assert.equal(lateLegacy.joined.topology, 'full');
+  assert.deepEqual(
+    lateLegacy.joined.peers.sort(),
+    [legacy, ...meshed].map((client) => client.joined.peerId).sort()
+  );
+
+  // Overlay peers keep their ring neighbors plus every full-mesh peer
+  const neighbors = await latestNeighbors(meshed[0]);
+  assert.equal(neighbors.topology, 'partial');
+  assert.equal(neighbors.peers.length, 4);
+  assert.ok(neighbors.peers.includes(legacy.joined.peerId));
+  assert.ok(neighbors.peers.includes(lateLegacy.joined.peerId));
+
+  assert.equal(await latestNeighbors(legacy), null);
+  assert.equal(await latestNeighbors(lateLegacy), null);
+
+  closeAll([legacy, ...meshed, lateLegacy]);
+});
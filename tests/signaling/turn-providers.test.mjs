@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mock, test } from 'node:test';
+
+import { getIceServers, readCredentialTtl } from '../../signaling/turn.js';
+
+const CLOUDFLARE_ENV = { TURN_PROVIDER: 'cloudflare', TURN_KEY_ID: 'key-id', TURN_KEY_API_TOKEN: 'api-token' };
+
+/**
+ * Answer the Cloudflare TURN API call with `body`, recording the request.
+ */
+function mockCloudflare(body, status = 200) {
+  return mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify(body), { status }));
+}
+
+test('stun lists STUN_URLS and no credentials', async () => {
+  const { iceServers, ttl } = await getIceServers({ TURN_PROVIDER: 'stun', STUN_URLS: 'stun:a:3478, stun:b:3478' });
+  assert.deepEqual(iceServers, [{ urls: ['stun:a:3478', 'stun:b:3478'] }]);
+  assert.equal(ttl, null);
+
+  const none = await getIceServers({ TURN_PROVIDER: 'stun', STUN_URLS: '' });
+  assert.deepEqual(none.iceServers, []);
+});
+
+test('cloudflare asks the TURN API for credentials with the TTL', async () => {
+  const fetch = mockCloudflare({
+    iceServers: { urls: ['turn:turn.cloudflare.com:3478'], username: 'user', credential: 'secret' },
+  });
+  try {
+    const { iceServers, ttl } = await getIceServers(CLOUDFLARE_ENV, 600);
+    assert.equal(ttl, 600);
+    assert.deepEqual(iceServers, [{ urls: ['turn:turn.cloudflare.com:3478'], username: 'user', credential: 'secret' }]);
+
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'https://rtc.live.cloudflare.com/v1/turn/keys/key-id/credentials/generate');
+    assert.equal(init.headers.Authorization, 'Bearer api-token');
+    assert.deepEqual(JSON.parse(init.body), { ttl: 600 });
+  } finally {
+    fetch.mock.restore();
+  }
+});
+
+test('cloudflare accepts a list of servers', async () => {
+  const fetch = mockCloudflare({
+    iceServers: [
+      { urls: 'stun:stun.cloudflare.com:3478' },
+      { urls: ['turn:turn.cloudflare.com:3478'], username: 'user', credential: 'secret' },
+    ],
+  });
+  try {
+    const { iceServers } = await getIceServers(CLOUDFLARE_ENV, 600);
+    assert.deepEqual(iceServers[0], { urls: ['stun:stun.cloudflare.com:3478'] });
+    assert.equal(iceServers[1].username, 'user');
+  } finally {
+    fetch.mock.restore();
+  }
+});
+
+test('cloudflare failures and missing settings are errors', async () => {
+  const fetch = mockCloudflare({ error: 'nope' }, 403);
+  try {
+    await assert.rejects(getIceServers(CLOUDFLARE_ENV, 600), /TURN API error 403/);
+  } finally {
+    fetch.mock.restore();
+  }
+  await assert.rejects(getIceServers({ TURN_PROVIDER: 'cloudflare' }, 600), /TURN_KEY_ID/);
+  await assert.rejects(getIceServers({ TURN_PROVIDER: 'xirsys' }, 600), /Unknown TURN_PROVIDER/);
+});
+
+test('coturn credentials are computed locally from the shared secret', async () => {
+  const env = { TURN_PROVIDER: 'coturn', TURN_SHARED_SECRET: 'shared', TURN_URLS: 'turn:t:3478', STUN_URLS: 'stun:s:3478' };
+  const before = Math.floor(Date.now() / 1000);
+  const { iceServers, ttl } = await getIceServers(env, 300);
+  assert.equal(ttl, 300);
+  assert.deepEqual(iceServers[0], { urls: ['stun:s:3478'] });
+
+  const { urls, username, credential } = iceServers[1];
+  assert.deepEqual(urls, ['turn:t:3478']);
+  const expiry = Number(username.split(':')[0]);
+  assert.ok(expiry >= before + 300 && expiry <= before + 301);
+  assert.equal(credential, createHmac('sha1', 'shared').update(username).digest('base64'));
+
+  await assert.rejects(getIceServers({ TURN_PROVIDER: 'coturn', TURN_URLS: 'turn:t:3478' }, 300), /TURN_SHARED_SECRET/);
+});
+
+test('the credential TTL comes from TURN_CREDENTIAL_TTL_SECONDS', () => {
+  assert.equal(readCredentialTtl({ TURN_CREDENTIAL_TTL_SECONDS: '120' }), 120);
+  assert.equal(readCredentialTtl({ TURN_CREDENTIAL_TTL_SECONDS: '0' }), 3600);
+  assert.equal(readCredentialTtl({}), 3600);
+});
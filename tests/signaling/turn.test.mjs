@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { after, before, test } from 'node:test';
+
+import { deriveRoomId, joinRoom, sleep, startServer } from './helpers.mjs';
+
+// coturn credentials are computed locally, so no network is needed
+const TURN_SECRET = 'test-secret';
+
+let server;
+before(async () => {
+  server = await startServer({
+    TURN_PROVIDER: 'coturn',
+    TURN_SHARED_SECRET: TURN_SECRET,
+    TURN_URLS: 'turn:turn.example:3478',
+    TURN_TICKET_TTL_MS: '300',
+    TURN_TICKET_MAX_ISSUES: '2',
+    RATE_LIMIT_IP_TURN_BURST: '50',
+    REQUIRE_DERIVED_ROOM_ID: 'true',
+  });
+});
+after(() => server.close());
+
+function fetchCredentials(roomId, ticket) {
+  return fetch(`http://127.0.0.1:${server.port}/turn-credentials?room=${roomId}`, {
+    headers: ticket ? { Authorization: `Bearer ${ticket}` } : {},
+  });
+}
+
+test('a joined peer gets a ticket that buys credentials for its room only', async () => {
+  const roomId = await deriveRoomId('shadow-tu0001');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true, ttlMs: 120000 });
+  const { turnTicket, turnTicketExpiresAt } = creator.joined;
+  assert.equal(typeof turnTicket, 'string');
+  assert.ok(turnTicketExpiresAt > Date.now());
+
+  const response = await fetchCredentials(roomId, turnTicket);
+  assert.equal(response.status, 200);
+  const { iceServers, ttl } = await response.json();
+  assert.ok(ttl > 0 && ttl <= 120, 'credentials never outlive the room');
+  const turn = iceServers.find((entry) => entry.username);
+  assert.equal(turn.credential, createHmac('sha1', TURN_SECRET).update(turn.username).digest('base64'));
+
+  const otherRoom = await deriveRoomId('shadow-tu0002');
+  assert.equal((await fetchCredentials(otherRoom, turnTicket)).status, 401);
+  assert.equal((await fetchCredentials(roomId, null)).status, 401);
+  creator.close();
+});
+
+test('tickets are limited in uses and time, and can be renewed', async () => {
+  const roomId = await deriveRoomId('shadow-tu0003');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const { turnTicket } = creator.joined;
+
+  assert.equal((await fetchCredentials(roomId, turnTicket)).status, 200);
+  assert.equal((await fetchCredentials(roomId, turnTicket)).status, 200);
+  assert.equal((await fetchCredentials(roomId, turnTicket)).status, 429);
+
+  creator.send({ type: 'turn-ticket' });
+  const renewed = await creator.next('turn-ticket');
+  assert.equal((await fetchCredentials(roomId, renewed.turnTicket)).status, 200);
+
+  await sleep(350);
+  assert.equal((await fetchCredentials(roomId, renewed.turnTicket)).status, 401);
+  creator.close();
+});
+
+test('a ticket stops working when its peer leaves', async () => {
+  const roomId = await deriveRoomId('shadow-tu0004');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+  const member = await joinRoom(server.port, roomId);
+
+  member.send({ type: 'leave' });
+  await creator.next('peer-left');
+  assert.equal((await fetchCredentials(roomId, member.joined.turnTicket)).status, 401);
+  creator.close();
+});
+
+test('a plaintext room code is refused', async () => {
+  assert.equal((await fetchCredentials('shadow-tu0005', 'ticket')).status, 400);
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+
+import { TestClient, deriveRoomId, joinRoom, startServer } from './helpers.mjs';
+
+let server;
+before(async () => {
+  server = await startServer({ MAX_FRAME_BYTES: '1024' });
+});
+after(() => server.close());
+
+test('malformed frames get typed error codes', async () => {
+  const client = await TestClient.connect(server.port, await deriveRoomId('shadow-va0001'));
+
+  client.ws.send('{not json');
+  assert.equal((await client.next('error')).code, 'INVALID_JSON');
+
+  client.ws.send(JSON.stringify({ type: 'join', displayName: 'x'.repeat(2000) }));
+  assert.equal((await client.next('error')).code, 'FRAME_TOO_LARGE');
+
+  client.send({ type: 'teleport', ref: 1 });
+  const unknown = await client.next('error');
+  assert.equal(unknown.code, 'UNKNOWN_TYPE');
+  assert.equal(unknown.ref, 1);
+
+  client.send({ noType: true });
+  assert.equal((await client.next('error')).field, 'type');
+
+  client.close();
+});
+
+test('fields are checked against the schema for the type', async () => {
+  const roomId = await deriveRoomId('shadow-va0002');
+  const creator = await joinRoom(server.port, roomId, { isCreator: true });
+
+  creator.send({ type: 'offer', payload: { sdp: 'v=0', type: 'offer' }, ref: 'a' });
+  const missing = await creator.next('error');
+  assert.deepEqual([missing.code, missing.field, missing.ref], ['INVALID_MESSAGE', 'targetPeerId', 'a']);
+
+  creator.send({ type: 'kick', peerId: 'not a peer id!' });
+  const invalid = await creator.next('error');
+  assert.deepEqual([invalid.code, invalid.field], ['INVALID_MESSAGE', 'peerId']);
+
+  creator.send({ type: 'answer', targetPeerId: 'nobody', payload: { sdp: 'v=0', type: 'answer' } });
+  const notFound = await creator.next('error');
+  assert.deepEqual([notFound.code, notFound.targetPeerId], ['PEER_NOT_FOUND', 'nobody']);
+
+  creator.close();
+});
+
+test('signaling before joining is refused with NOT_JOINED', async () => {
+  const client = await TestClient.connect(server.port, await deriveRoomId('shadow-va0003'));
+  client.send({ type: 'ice-candidate', targetPeerId: 'someone', payload: { candidate: '' } });
+  assert.equal((await client.next('error')).code, 'NOT_JOINED');
+  client.close();
+});